@@ -1,14 +1,31 @@
 
 rebind = new Rebind()
 
-// bind an action (specified by a string) to different keys or gamepad buttons
+// defining actions gives them a label, a category and default bindings, which the <rebind-settings> menu on
+// example.html uses.  the defaults are bound straight away, and the menu's reset buttons bind them again.
+// click a slot in the menu and press a key, button or stick direction to rebind it
+//
+// to bind a gamepad button to an action, use the input string "gp-b<n>", where "<n>" is the id of the button you want to do the thing.
+// gamepad sticks can be bound too, with conditions that say which way the stick has to be pushed
+// gamepad sticks are bound with conditions, so that moving the left stick left or right moves (see "bind axes" below)
+rebind.defineAction("move-left", { label: "Move left", category: "Movement", defaults: [
+    "a", "ArrowLeft", "Left", "gp-b14",
+    { input: "gp-a-left", condition_x: "neg", condition_y: "none" }
+]})
+rebind.defineAction("move-right", { label: "Move right", category: "Movement", defaults: [
+    "d", "ArrowRight", "Right", "gp-b15",
+    { input: "gp-a-left", condition_x: "pos", condition_y: "none" }
+]})
+rebind.defineAction("thing", { label: "Thing", category: "Examples", defaults: ["t"] })
+rebind.defineAction("print-params", { label: "Print params", category: "Examples", defaults: ["p", "gp-b3"] })
+
+// actions can have rules about what can be bound to them.  this one can only be bound to keys and gamepad buttons, twice
+rebind.defineAction("frequency-test", { label: "Frequency test", category: "Examples", defaults: ["o", "gp-b0"], allowed_input_types: ["key", "gamepad_button"], max_bindings: 2 })
+
+// actions don't have to be defined.  bind an action (specified by a string) to different keys or gamepad buttons
 // you can bind the same key to many actions
 // the action will "occur" when any of the bound keys are pressed
-rebind.bind("move-left", ["a", "ArrowLeft", "Left"])
-rebind.bind("move-right", ["d", "ArrowRight", "Right"])
-rebind.bind("print-params", ["p", "gp-b3"])
-rebind.bind("frequency-test", ["o", "gp-b0"])
-
+//
 // a settings object can be passed which defines what modifier keys need to
 // be pressed for the action to occur.  you can require ctrl, shift, or
 // alt modifiers.  you can also set none to true, which requires that
@@ -17,11 +34,6 @@ rebind.bind(      "z", ["z"])
 rebind.bind("ctrl-z", ["z"], {ctrl: true})
 rebind.bind( "none-z", ["z"], {none: true})
 
-// to bind a gamepad button to an action, use the input string "gp-b<n>", where "<n>" is the id of the button you want to do the thing.
-// button ids are described at https://www.w3.org/TR/gamepad/#dfn-standard-gamepad
-rebind.bind("move-left", ["gp-b14"])
-rebind.bind("move-right", ["gp-b15"])
-
 // for gamepad input and continuous keyboard input to work, you need to call rebind.update() every frame
 function update()
 {
@@ -30,23 +42,9 @@ function update()
 }
 requestAnimationFrame(update)
 
-// these are examples that are called by the buttons on example.html
-// they are supposed to show dynamic rebinding
-function bind_to_thing(char)
-{
-    console.log(`bound ${char} to action "thing"`)
-    rebind.bind("thing", [char])
-}
-function remove_from_thing(char)
-{
-    console.log(`removed ${char} from action "thing"`)
-    rebind.remove("thing", [char])
-}
-function clear_thing()
-{
-    console.log("cleared all bindings from action \"thing\"")
-    rebind.clear("thing")
-}
+window.addEventListener("DOMContentLoaded", () => {
+    document.querySelector("rebind-settings").rebind = rebind
+})
 
 // you can also use a special key name called "any", which will be called whenever
 // any key is pressed or when any gamepad button is pressed
@@ -65,12 +63,15 @@ function disable_any()
 // register a callback that is called when an action occurs (ie: when any key
 // bound to that action is pressed)
 // you can register several callbacks to one action
-// (but you can't de-register callbacks yet)
+// to de-register a callback, call unsubscribe() on the object that on() returns, or
+// pass the callback to rebind.off() (rebind.off(action) removes all of an action's callbacks)
 
 rebind.on("move-left", (params) => {console.log("Move left", params.key_action)})
 rebind.on("move-right", (params) => {console.log("Move right", params.key_action)})
 rebind.on("thing", (params) => {if (params.key_action == "pressed") console.log("Thing Function 1")})
-rebind.on("thing", (params) => {if (params.key_action == "pressed") console.log("Thing Function 2")})
+var thing_2 = (params) => {if (params.key_action == "pressed") console.log("Thing Function 2")}
+var thing_2_subscription = rebind.on("thing", thing_2)
+// thing_2_subscription.unsubscribe() or rebind.off("thing", thing_2) would stop "Thing Function 2" being logged
 
 rebind.on("frequency-test", (params) => {
     console.log(`frequency test - ${params.input_type} -  ${params.key_action} - ${params.frequency}`)
@@ -115,17 +116,37 @@ function register_expiry()
     })
 }
 
-// bind axes
-rebind.bind("axes-test", ["gp-a-right"]);
-rebind.bind("move-left", ["gp-a-left"], {
-    condition_x: "neg",
-    condition_y: "none"
+// mouse buttons, the mouse wheel and mouse movement can be bound too.  mouse buttons and the wheel act like keys,
+// and mouse movement acts like a gamepad stick (params.axes is how far the mouse moved since the last update())
+rebind.bind("mouse-test", ["mouse-b1", "mouse-wheel-up", "mouse-wheel-down"])
+rebind.on("mouse-test", (params) => {
+    if (params.key_action == "pressed") console.log(`${params.input_name} at ${params.pointer.x}, ${params.pointer.y}`)
 })
-rebind.bind("move-right", ["gp-a-left"], {
-    condition_x: "pos",
-    condition_y: "none"
+
+// analog buttons (like the triggers) can use their own thresholds to decide when they're pressed.
+// params.value is how far the button is pressed, from 0 to 1
+rebind.bind("analog-test", ["gp-b7"], {press_threshold: 0.2, release_threshold: 0.1})
+rebind.on("analog-test", (params) => {
+    console.log(`right trigger ${params.key_action}, value: ${params.value}`)
+}, {
+    frequency: "change"
 })
 
+// bind axes
+// (move-left and move-right are bound to the left stick, with condition_x and condition_y, in their defaults at the top)
+rebind.bind("axes-test", ["gp-a-right"]);
+
+// chords are inputs that have to be held together, joined with "+"
+rebind.bind("chord-test", ["q+e", "gp-b4+gp-b5"])
+rebind.on("chord-test", (params) => {console.log(`chord ${params.input_name} ${params.key_action}`)})
+
+// sequences are steps that have to be pressed in order, joined with " > ".  each step can be a chord.
+// window is the most time (in milliseconds) allowed between each step
+rebind.bind("sequence-test", ["ArrowDown > ArrowDown+ArrowRight > ArrowRight+x"], {window: 300})
+rebind.bind("konami", ["ArrowUp > ArrowUp > ArrowDown > ArrowDown > ArrowLeft > ArrowRight > ArrowLeft > ArrowRight > b > a"])
+rebind.on("sequence-test", (params) => {console.log("Hadouken!")})
+rebind.on("konami", (params) => {console.log("Konami code entered")})
+
 rebind.on("axes-test", (params) => {
     console.log(`right stick, x: ${params.axes[0]}, y: ${params.axes[1]}`)
 }, {
@@ -147,13 +168,14 @@ function destroy_gamepad()
     gamepadSimulator.destroy()
 }
 
-// way to get what key or button a user pressed, using a one-off callback
-rebind.bind("get-key", ["any"])
+// way to get what key, button or stick a user pressed, using capture()
+// capture() returns a promise that resolves to the next input, and stops any actions from occurring while it waits
 function get_pressed_key()
 {
-    rebind.on("get-key", function(params) {
-        if (params.key_action == "pressed") alert(`${params.input_name} was pressed!`)
-    }, {
-        expiry: 1
-    });
-}
\ No newline at end of file
+    rebind.capture({ timeout: 5000 }).then((result) => {
+        if (result.direction) alert(`${result.input} was moved ${result.direction}!`)
+        else alert(`${result.input} was pressed!`)
+    }).catch((error) => {
+        console.log(error.message)
+    })
+}
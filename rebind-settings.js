@@ -0,0 +1,531 @@
+
+/**
+ * @class
+ * @classdec A control settings menu, as a custom element (<rebind-settings>) attached to a Rebind object
+ *
+ * Each action is shown as a row with its label, a slot for each of its bindings, and a reset button.  Clicking a slot
+ * waits for the next key, gamepad button or stick direction (using rebind.capture()), and binds it to the action in
+ * place of the slot's old binding.  Conflicts are shown next to the action, and the menu can be used with a mouse,
+ * the keyboard (arrow keys, Enter, Delete and Escape) or a gamepad (the d-pad, and the south button).
+ *
+ * Every part of the menu has a CSS part name (see readme.md), so it can be styled from outside with ::part().
+ */
+class RebindSettings extends HTMLElement
+{
+    static observedAttributes = ["actions", "category", "slots", "player", "context", "locale"]
+
+    // the default text of the menu.  change `element.text` to translate it
+    static text = {
+        empty: "—",
+        listening: "Press a key or button…",
+        reset: "Reset",
+        reset_all: "Reset all",
+        conflict: "Also used by",
+        cancelled: "Cancelled",
+        bound: "Bound",
+        to: "to"
+    }
+
+    /**
+     * Constructor for RebindSettings objects (use document.createElement("rebind-settings"), or put a
+     * <rebind-settings> element in the page, and set its `rebind` property)
+     */
+    constructor()
+    {
+        super()
+
+        // the text of the menu (see RebindSettings.text)
+        this.text = Object.assign({}, RebindSettings.text)
+
+        // the Rebind object whose bindings are shown (see the `rebind` property)
+        this.target = null
+
+        // the slot that is waiting for an input, as an object with the `action`, the `input` it replaces (or null), the
+        // `key` of the slot's element (its data-key) and the AbortController that cancels the capture.  null if the menu
+        // isn't waiting for an input
+        this.listening = null
+
+        // set after a gamepad button is captured, so that the press isn't also used to navigate the menu.  gamepad
+        // navigation starts again once every button has been released
+        this.ignore_gamepad = false
+
+        // the gamepad buttons that were pressed the last time the gamepads were checked, for navigating with a gamepad
+        this.last_buttons = {}
+
+        // the id of the requestAnimationFrame() callback that checks gamepads, or null while the element isn't in the page
+        this.frame = null
+
+        // updates the labels when the player switches devices, since gamepad buttons have different labels for each family
+        this.on_device_changed = (() => this.refresh()).bind(this)
+
+        this.attachShadow({ mode: "open" })
+        this.shadowRoot.addEventListener("keydown", this.#handle_keydown.bind(this))
+    }
+
+    /**
+     * @summary The Rebind object whose bindings are shown.  Setting it shows the menu for that object
+     * @type {Rebind}
+     */
+    get rebind()
+    {
+        return this.target
+    }
+
+    set rebind(rebind)
+    {
+        this.#cancel()
+        if (this.target) this.target.removeEventListener("activedevicechanged", this.on_device_changed)
+
+        this.target = rebind
+        if (rebind) rebind.addEventListener("activedevicechanged", this.on_device_changed)
+        this.refresh()
+    }
+
+    connectedCallback()
+    {
+        // a `rebind` property that was set before the element was upgraded hides the setter, so set it again
+        if (Object.prototype.hasOwnProperty.call(this, "rebind"))
+        {
+            var rebind = this.rebind
+            delete this.rebind
+            this.rebind = rebind
+        }
+        this.refresh()
+
+        const check = (() => {
+            this.#check_gamepads()
+            this.frame = requestAnimationFrame(check)
+        }).bind(this)
+        if (this.frame === null) this.frame = requestAnimationFrame(check)
+    }
+
+    disconnectedCallback()
+    {
+        this.#cancel()
+        if (this.frame !== null) cancelAnimationFrame(this.frame)
+        this.frame = null
+    }
+
+    attributeChangedCallback()
+    {
+        this.refresh()
+    }
+
+    /**
+     * @summary Show the current bindings again
+     *
+     * The menu is refreshed after every change it makes, so this only needs to be called after bindings are changed
+     * some other way (like with rebind.bind()).  The focused control stays focused.
+     */
+    refresh()
+    {
+        var root = this.shadowRoot
+        var focused = root.activeElement ? root.activeElement.dataset.key : null
+
+        root.replaceChildren(RebindSettings.#style())
+        if (!this.target) return
+
+        var list = RebindSettings.#element("div", "list")
+        var conflicts = this.target.conflicts()
+        var category
+
+        this.#actions().forEach((action => {
+
+            // start a new group whenever the category changes
+            if (action.category && action.category !== category) list.append(RebindSettings.#element("div", "category", action.category))
+            category = action.category
+
+            list.append(this.#render_action(action, conflicts))
+
+        }).bind(this))
+
+        var footer = RebindSettings.#element("div", "footer")
+        footer.append(RebindSettings.#element("span", "status"))
+
+        var reset_all = RebindSettings.#element("button", "reset-all", this.text.reset_all)
+        reset_all.dataset.key = "reset-all"
+        reset_all.disabled = this.target.actions().every(action => !action.defined)
+        reset_all.addEventListener("click", (() => this.#run(() => this.target.resetAll())).bind(this))
+        footer.append(reset_all)
+
+        root.append(list, footer)
+
+        // the slot that is waiting for an input keeps waiting
+        if (this.listening)
+        {
+            var slot = root.querySelector(`[data-key="${CSS.escape(this.listening.key)}"]`)
+            if (slot)
+            {
+                slot.textContent = this.text.listening
+                slot.part.add("listening")
+            }
+        }
+
+        if (focused)
+        {
+            var control = root.querySelector(`[data-key="${CSS.escape(focused)}"]`)
+            if (control) control.focus()
+        }
+    }
+
+    /**
+     * @summary Get the actions to show: the `actions` attribute, or every defined action (or every action if none are defined)
+     * @returns {Object[]} the actions, in the format returned by rebind.actions()
+     */
+    #actions()
+    {
+        var actions = this.target.actions()
+        var names = (this.getAttribute("actions") || "").split(/\s+/).filter(name => name)
+
+        if (names.length > 0) actions = names.map(name => actions.find(action => action.action == name) || { action: name, label: name, category: null, defaults: [], allowed_input_types: null, max_bindings: null, defined: false })
+        else if (actions.some(action => action.defined)) actions = actions.filter(action => action.defined)
+
+        if (this.hasAttribute("category")) actions = actions.filter(action => action.category === this.getAttribute("category"))
+        return actions
+    }
+
+    /**
+     * @summary The player and input context whose bindings are shown (the `player` and `context` attributes)
+     * @returns {Object} an object with the `player` number (or null) and the `context` name
+     */
+    #owner()
+    {
+        return {
+            player: this.hasAttribute("player") ? Number(this.getAttribute("player")) : null,
+            context: this.getAttribute("context") || "default"
+        }
+    }
+
+    /**
+     * @summary Make the row for an action
+     * @param {Object} action the action, from rebind.actions()
+     * @param {Object[]} conflicts every conflict, from rebind.conflicts()
+     * @returns {HTMLElement} the row
+     */
+    #render_action(action, conflicts)
+    {
+        var owner = this.#owner()
+        var bindings = this.target.getBindings(action.action, { player: owner.player, context: owner.context, locale: this.getAttribute("locale") || undefined })
+
+        // sort the bindings back into the order they were bound, so slots don't move around when the active device changes
+        var order = this.target.exportBindings().bindings[action.action] || []
+        bindings.sort((a, b) => order.findIndex(e => e.input == a.input) - order.findIndex(e => e.input == b.input))
+
+        var row = RebindSettings.#element("div", "action")
+        row.dataset.action = action.action
+        row.append(RebindSettings.#element("span", "label", action.label))
+
+        // one slot for each binding, plus empty slots up to the `slots` attribute (or the action's max_bindings)
+        var slots = RebindSettings.#element("span", "slots")
+        var count = (action.max_bindings !== null) ? action.max_bindings : Number(this.getAttribute("slots") || 2)
+        var others = new Set()
+        for (var i = 0; i < Math.max(count, bindings.length); i++)
+        {
+            var binding = bindings[i] || null
+            var button = RebindSettings.#element("button", "slot", binding ? binding.label : this.text.empty)
+            button.dataset.key = `${action.action}/${i}`
+
+            if (!binding) button.part.add("empty")
+            else
+            {
+                var conflicting = this.#conflicting_actions(action.action, binding.input, conflicts)
+                if (conflicting.length > 0)
+                {
+                    button.part.add("conflict")
+                    conflicting.forEach(other => others.add(other))
+                }
+                button.dataset.input = binding.input
+                button.title = binding.input
+            }
+
+            button.addEventListener("click", this.#listen.bind(this, action, binding, button))
+            slots.append(button)
+        }
+        row.append(slots)
+
+        var reset = RebindSettings.#element("button", "reset", this.text.reset)
+        reset.dataset.key = `${action.action}/reset`
+        reset.disabled = !action.defined
+        reset.addEventListener("click", (() => this.#run(() => this.target.reset(action.action))).bind(this))
+        row.append(reset)
+
+        if (others.size > 0)
+        {
+            var labels = Array.from(others).map(other => (this.#actions().find(e => e.action == other) || { label: other }).label)
+            row.append(RebindSettings.#element("span", "conflicts", `${this.text.conflict} ${labels.join(", ")}`))
+        }
+
+        return row
+    }
+
+    /**
+     * @summary Find the other actions that a binding conflicts with
+     * @param {string} action the action name
+     * @param {string} input the input name of the binding
+     * @param {Object[]} conflicts every conflict, from rebind.conflicts()
+     * @returns {string[]} the names of the other actions
+     */
+    #conflicting_actions(action, input, conflicts)
+    {
+        var owner = this.#owner()
+        var others = []
+        conflicts.forEach(conflict => {
+            if (conflict.input != input || conflict.context != owner.context) return
+            conflict.actions.forEach((other, i) => {
+                var j = 1 - i
+                if (other != action && conflict.actions[j] == action && (conflict.players[j] || null) === owner.player) others.push(other)
+            })
+        })
+        return others
+    }
+
+    /**
+     * @summary Wait for an input to bind to a slot (or stop waiting, if the slot is already waiting)
+     * @param {Object} action the action, from rebind.actions()
+     * @param {Object|null} binding the slot's binding, from rebind.getBindings(), or null for an empty slot
+     * @param {HTMLElement} button the slot's element
+     */
+    #listen(action, binding, button)
+    {
+        var same = this.listening && this.listening.key === button.dataset.key
+        this.#cancel()
+        if (same) return
+
+        // only wait for the input types that the action allows (see rebind.defineAction())
+        var types = ["key", "gamepad_button", "gamepad_axes"]
+        if (action.allowed_input_types) types = action.allowed_input_types.filter(type => ["key", "gamepad_button", "gamepad_axes", "mouse_button", "mouse_wheel"].includes(type))
+
+        var controller = new AbortController()
+        this.listening = { action: action.action, input: binding ? binding.input : null, key: button.dataset.key, controller: controller }
+        this.refresh()
+
+        this.target.capture({ types: types, exclude: ["Escape"], timeout: 5000, signal: controller.signal }).then((result => {
+            this.listening = null
+            if (result.input_type == "gamepad_button" || result.input_type == "gamepad_axes") this.ignore_gamepad = true
+            this.#assign(action, binding, result)
+        }).bind(this)).catch((error => {
+            if (!this.listening || this.listening.controller !== controller) return
+            this.listening = null
+            this.refresh()
+            this.#status(this.text.cancelled)
+        }).bind(this))
+    }
+
+    /**
+     * @summary Stop waiting for an input, if a slot is waiting
+     */
+    #cancel()
+    {
+        if (!this.listening) return
+        var listening = this.listening
+        this.listening = null
+        listening.controller.abort()
+        this.refresh()
+    }
+
+    /**
+     * @summary Bind a captured input to an action, in place of a slot's binding
+     *
+     * If the action's rules don't allow the input (see rebind.defineAction()), the old binding is put back, and
+     * the error is shown in the status part.
+     *
+     * @param {Object} action the action, from rebind.actions()
+     * @param {Object|null} binding the slot's old binding, or null for an empty slot
+     * @param {Object} result the captured input, from rebind.capture()
+     */
+    #assign(action, binding, result)
+    {
+        var owner = this.#owner()
+        this.#run(() => {
+            if (binding) this.target.remove(action.action, [binding.input], owner)
+            try
+            {
+                this.target.bind(action.action, [result.input], Object.assign({}, result.settings, owner))
+            }
+            catch (error)
+            {
+                if (binding) this.target.bind(action.action, [binding.input], binding)
+                throw error
+            }
+        }, `${this.text.bound} ${this.target.describe(result.input, result.settings).label} ${this.text.to} ${action.label}`)
+    }
+
+    /**
+     * @summary Change the bindings, then show the new bindings, and an error if there was one
+     * @param {Function} change a function that changes the bindings
+     * @param {string} message the status to show if it works
+     */
+    #run(change, message="")
+    {
+        try
+        {
+            change()
+            this.refresh()
+            this.#status(message)
+            this.dispatchEvent(new CustomEvent("change", { bubbles: true }))
+        }
+        catch (error)
+        {
+            this.refresh()
+            this.#status(error.message.replace(/^rebind\.js: /, ""), true)
+        }
+    }
+
+    /**
+     * @summary Show a message in the status part
+     * @param {string} message the message
+     * @param {boolean} error whether the message is an error (the status part gets the "error" part name too)
+     */
+    #status(message, error=false)
+    {
+        var status = this.shadowRoot.querySelector('[part~="status"]')
+        if (!status) return
+        status.textContent = message
+        status.part.toggle("error", error)
+    }
+
+    /**
+     * @summary Move the focus between the controls with the arrow keys, and remove bindings with Delete or Backspace
+     * @param {KeyboardEvent} event the keydown event
+     */
+    #handle_keydown(event)
+    {
+        // while a slot is waiting, keys go to the capture (except Escape, which cancels it)
+        if (this.listening)
+        {
+            if (event.key == "Escape") this.#cancel()
+            event.preventDefault()
+            return
+        }
+
+        var direction = { ArrowUp: "up", ArrowDown: "down", ArrowLeft: "left", ArrowRight: "right" }[event.key]
+        if (direction)
+        {
+            event.preventDefault()
+            this.#move_focus(direction)
+        }
+
+        // remove the focused slot's binding
+        var control = this.shadowRoot.activeElement
+        if ((event.key == "Delete" || event.key == "Backspace") && control && control.dataset.input)
+        {
+            event.preventDefault()
+            var action = control.closest('[part~="action"]').dataset.action
+            this.#run(() => this.target.remove(action, [control.dataset.input], this.#owner()))
+        }
+    }
+
+    /**
+     * @summary Move the focus to the next control in a direction
+     *
+     * Up and down move between actions (staying in the same column), and left and right move between the controls of an action.
+     *
+     * @param {string} direction "up", "down", "left" or "right"
+     */
+    #move_focus(direction)
+    {
+        var rows = Array.from(this.shadowRoot.querySelectorAll('[part~="action"], [part~="footer"]'))
+        var controls = rows.map(row => Array.from(row.querySelectorAll("button")).filter(button => !button.disabled))
+        var focused = this.shadowRoot.activeElement
+
+        var row = controls.findIndex(buttons => buttons.includes(focused))
+        if (row == -1)
+        {
+            if (controls.length > 0 && controls[0].length > 0) controls[0][0].focus()
+            return
+        }
+
+        var column = controls[row].indexOf(focused)
+        if (direction == "left" || direction == "right")
+        {
+            var next = controls[row][column + (direction == "left" ? -1 : 1)]
+            if (next) next.focus()
+            return
+        }
+
+        for (var r = row + (direction == "up" ? -1 : 1); r >= 0 && r < controls.length; r += (direction == "up" ? -1 : 1))
+        {
+            if (controls[r].length == 0) continue
+            controls[r][Math.min(column, controls[r].length - 1)].focus()
+            return
+        }
+    }
+
+    /**
+     * @summary Navigate the menu with a gamepad: the d-pad moves the focus, and the south button clicks the focused control
+     *
+     * This uses the gamepad state from rebind.update(), so it only works while update() is being called.  Gamepads are
+     * only used while the menu is visible, and while it isn't waiting for an input.
+     */
+    #check_gamepads()
+    {
+        if (!this.target) return
+
+        var pressed = {}
+        Object.values(this.target.gamepad_button_states).forEach(buttons => {
+            for (const [button, down] of Object.entries(buttons)) if (down) pressed[button] = true
+        })
+
+        var last = this.last_buttons
+        this.last_buttons = pressed
+
+        // wait for a captured button to be released, so it doesn't click the slot again
+        if (this.ignore_gamepad)
+        {
+            if (Object.keys(pressed).length == 0) this.ignore_gamepad = false
+            return
+        }
+        if (this.listening || this.offsetParent === null) return
+
+        var focused = this.shadowRoot.activeElement
+        const just_pressed = (button) => pressed[button] && !last[button]
+
+        if (just_pressed(12)) this.#move_focus("up")
+        if (just_pressed(13)) this.#move_focus("down")
+        if (just_pressed(14)) this.#move_focus("left")
+        if (just_pressed(15)) this.#move_focus("right")
+        if (just_pressed(0) && focused) focused.click()
+    }
+
+    /**
+     * @summary Make an element with a part name
+     * @param {string} tag the tag name
+     * @param {string} part the part name
+     * @param {string} text the text content
+     * @returns {HTMLElement} the element
+     */
+    static #element(tag, part, text=null)
+    {
+        var element = document.createElement(tag)
+        element.part.add(part)
+        if (text !== null) element.textContent = text
+        if (tag == "button") element.type = "button"
+        return element
+    }
+
+    /**
+     * @summary Make the default styles of the menu, which can be overridden with ::part()
+     * @returns {HTMLStyleElement} the style element
+     */
+    static #style()
+    {
+        var style = document.createElement("style")
+        style.textContent = `
+            :host { display: block; font: inherit; }
+            [part~="list"] { display: grid; grid-template-columns: auto 1fr auto; gap: 4px 12px; align-items: center; }
+            [part~="category"] { grid-column: 1 / -1; font-weight: bold; margin-top: 8px; }
+            [part~="action"] { display: contents; }
+            [part~="slots"] { display: flex; gap: 4px; flex-wrap: wrap; }
+            [part~="slot"] { min-width: 6em; }
+            [part~="slot"][part~="empty"] { opacity: 0.6; }
+            [part~="slot"][part~="conflict"] { outline: 2px solid orange; }
+            [part~="slot"][part~="listening"] { outline: 2px solid dodgerblue; }
+            [part~="conflicts"] { grid-column: 2 / -1; color: darkorange; font-size: smaller; }
+            [part~="footer"] { display: flex; justify-content: space-between; align-items: center; margin-top: 8px; gap: 12px; }
+            [part~="status"][part~="error"] { color: firebrick; }
+        `
+        return style
+    }
+}
+
+if (typeof customElements !== "undefined" && !customElements.get("rebind-settings")) customElements.define("rebind-settings", RebindSettings)
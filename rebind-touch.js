@@ -0,0 +1,223 @@
+
+/**
+ * @class
+ * @classdec On-screen buttons and analog sticks for touch devices, which feed into a Rebind object
+ *
+ * Touch buttons act like keys, with the input name "touch-b:<id>".  Touch sticks act like gamepad sticks,
+ * with the input name "touch-a:<id>", so they support the same deadzones, conditions and processing settings.
+ */
+class RebindTouchControls
+{
+    /**
+     * Constructor for RebindTouchControls objects
+     * @param {Rebind} rebind the Rebind object to send touch inputs to
+     * @param {HTMLElement} element the element to render the controls into (the controls are positioned relative to it)
+     * @param {Object} layout the buttons and sticks to render.  see readme.md for a description of the layout
+     */
+    constructor(rebind, element, layout={})
+    {
+        // the Rebind object that touch inputs are sent to
+        this.rebind = rebind
+
+        // the element that the controls are rendered into
+        this.element = element
+
+        // an object where each key is the id of a button or stick, and each value is its element
+        this.controls = {}
+
+        // the element that contains all of the controls
+        this.container = document.createElement("div")
+        this.container.className = "rebind-touch-controls"
+        Object.assign(this.container.style, {
+            position: "absolute",
+            inset: "0",
+            pointerEvents: "none",
+            userSelect: "none"
+        })
+
+        // the container needs a positioned parent for the controls to be positioned relative to the element
+        if (getComputedStyle(element).position == "static") element.style.position = "relative"
+
+        if (layout.buttons) layout.buttons.forEach((button => this.addButton(button)).bind(this))
+        if (layout.sticks) layout.sticks.forEach((stick => this.addStick(stick)).bind(this))
+
+        element.appendChild(this.container)
+    }
+
+    /**
+     * @summary Add a button to the touch controls
+     * @param {Object} settings the button's settings (id, label, size, and left/right/top/bottom)
+     * @returns {HTMLElement} the button's element
+     */
+    addButton(settings)
+    {
+        var size = settings.size || 64
+        var button = this.#create_control(settings, size, "rebind-touch-button")
+        button.textContent = settings.label || settings.id
+        Object.assign(button.style, {
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            background: "rgba(128, 128, 128, 0.4)",
+            border: "2px solid rgba(255, 255, 255, 0.6)"
+        })
+
+        var release = (event => {
+            if (!button.classList.contains("pressed")) return
+            button.classList.remove("pressed")
+            this.rebind.setTouchButton(settings.id, false, event)
+        }).bind(this)
+
+        button.addEventListener("pointerdown", (event => {
+            event.preventDefault()
+            button.setPointerCapture(event.pointerId)
+            button.classList.add("pressed")
+            this.rebind.setTouchButton(settings.id, true, event)
+        }).bind(this))
+        button.addEventListener("pointerup", release)
+        button.addEventListener("pointercancel", release)
+        button.addEventListener("lostpointercapture", release)
+
+        return button
+    }
+
+    /**
+     * @summary Add an analog stick to the touch controls
+     *
+     * The stick's axes values are how far the knob is dragged from the centre, divided by the stick's radius.
+     * Like gamepad sticks, x is positive to the right, and y is positive downwards.
+     *
+     * @param {Object} settings the stick's settings (id, radius, and left/right/top/bottom)
+     * @returns {HTMLElement} the stick's element
+     */
+    addStick(settings)
+    {
+        var radius = settings.radius || 60
+        var stick = this.#create_control(settings, radius * 2, "rebind-touch-stick")
+        Object.assign(stick.style, {
+            background: "rgba(128, 128, 128, 0.25)",
+            border: "2px solid rgba(255, 255, 255, 0.4)"
+        })
+
+        var knob = document.createElement("div")
+        knob.className = "rebind-touch-knob"
+        Object.assign(knob.style, {
+            position: "absolute",
+            left: "25%",
+            top: "25%",
+            width: "50%",
+            height: "50%",
+            boxSizing: "border-box",
+            borderRadius: "50%",
+            background: "rgba(255, 255, 255, 0.6)",
+            pointerEvents: "none"
+        })
+        stick.appendChild(knob)
+
+        // the pointer that is moving the stick, so that other touches don't move it too
+        var pointer = null
+
+        var move = (event => {
+            if (event.pointerId !== pointer) return
+
+            // get the offset of the pointer from the centre of the stick, limited to the stick's radius
+            var rect = stick.getBoundingClientRect()
+            var x = (event.clientX - (rect.left + rect.width / 2)) / radius
+            var y = (event.clientY - (rect.top + rect.height / 2)) / radius
+            var length = Math.sqrt(x * x + y * y)
+            if (length > 1)
+            {
+                x /= length
+                y /= length
+            }
+
+            knob.style.transform = `translate(${x * radius}px, ${y * radius}px)`
+            this.rebind.setTouchStick(settings.id, [x, y], event)
+        }).bind(this)
+
+        var release = (event => {
+            if (event.pointerId !== pointer) return
+            pointer = null
+            stick.classList.remove("pressed")
+            knob.style.transform = ""
+            this.rebind.setTouchStick(settings.id, [0, 0], event)
+        }).bind(this)
+
+        stick.addEventListener("pointerdown", event => {
+            if (pointer !== null) return
+            event.preventDefault()
+            pointer = event.pointerId
+            stick.setPointerCapture(event.pointerId)
+            stick.classList.add("pressed")
+            move(event)
+        })
+        stick.addEventListener("pointermove", move)
+        stick.addEventListener("pointerup", release)
+        stick.addEventListener("pointercancel", release)
+        stick.addEventListener("lostpointercapture", release)
+
+        return stick
+    }
+
+    /**
+     * @summary Remove a button or stick from the touch controls
+     *
+     * If the button is pressed or the stick is moved, it is released first.
+     *
+     * @param {string} id the id of the button or stick
+     */
+    remove(id)
+    {
+        if (!(id in this.controls)) return
+
+        var control = this.controls[id]
+        if (control.classList.contains("rebind-touch-stick")) this.rebind.setTouchStick(id, [0, 0])
+        else if (control.classList.contains("pressed")) this.rebind.setTouchButton(id, false)
+
+        control.remove()
+        delete this.controls[id]
+    }
+
+    /**
+     * @summary Remove all of the touch controls from the element
+     */
+    destroy()
+    {
+        Object.keys(this.controls).forEach((id => this.remove(id)).bind(this))
+        this.container.remove()
+    }
+
+    /**
+     * @summary Creates the element for a button or stick, and adds it to the container
+     * @param {Object} settings the control's settings (see addButton() and addStick())
+     * @param {number} size the width and height of the control in pixels
+     * @param {string} class_name the class name of the control
+     * @returns {HTMLElement} the control's element
+     */
+    #create_control(settings, size, class_name)
+    {
+        if (settings.id in this.controls) this.remove(settings.id)
+
+        var control = document.createElement("div")
+        control.className = class_name
+        control.dataset.id = settings.id
+        Object.assign(control.style, {
+            position: "absolute",
+            width: size + "px",
+            height: size + "px",
+            boxSizing: "border-box",
+            borderRadius: "50%",
+            pointerEvents: "auto",
+            touchAction: "none"
+        });
+
+        // position the control using any of left, right, top and bottom (numbers are in pixels)
+        ["left", "right", "top", "bottom"].forEach(side => {
+            if (side in settings) control.style[side] = (typeof settings[side] == "number") ? settings[side] + "px" : settings[side]
+        })
+
+        this.container.appendChild(control)
+        this.controls[settings.id] = control
+        return control
+    }
+}
@@ -9,14 +9,111 @@
 /**
  * @class
  * @classdec A class for dynamically mapping input events to callbacks, via a set of "actions"
+ * 
+ * Rebind objects are EventTargets, which dispatch events about devices (like "activedevicechanged").
  */
-class Rebind
+class Rebind extends EventTarget
 {
+    // the version of the binding profile format made by exportBindings()
+    static profile_version = 1
+
+    // the version of the recording format made by stopRecording()
+    static recording_version = 1
+
+    // old key names used by some browsers, and the standard key names they are normalised to
+    static #key_aliases = {
+        "Left": "ArrowLeft",
+        "Right": "ArrowRight",
+        "Up": "ArrowUp",
+        "Down": "ArrowDown",
+        "Esc": "Escape",
+        "Del": "Delete",
+        "Spacebar": " ",
+        "Win": "Meta",
+        "OS": "Meta",
+        "Apps": "ContextMenu",
+        "Scroll": "ScrollLock",
+        "VolumeUp": "AudioVolumeUp",
+        "VolumeDown": "AudioVolumeDown",
+        "VolumeMute": "AudioVolumeMute"
+    }
+
+    // semantic names for gamepad buttons, and the "standard" mapping buttons they refer to
+    static #gamepad_aliases = {
+        "gp-south": "gp-b0",
+        "gp-east": "gp-b1",
+        "gp-west": "gp-b2",
+        "gp-north": "gp-b3",
+        "gp-lb": "gp-b4",
+        "gp-rb": "gp-b5",
+        "gp-lt": "gp-b6",
+        "gp-rt": "gp-b7",
+        "gp-select": "gp-b8",
+        "gp-start": "gp-b9",
+        "gp-l3": "gp-b10",
+        "gp-r3": "gp-b11",
+        "gp-dpad-up": "gp-b12",
+        "gp-dpad-down": "gp-b13",
+        "gp-dpad-left": "gp-b14",
+        "gp-dpad-right": "gp-b15",
+        "gp-home": "gp-b16"
+    }
+
+    // the index in the "standard" mapping of each button and axis named in SDL gamecontrollerdb mappings
+    static #sdl_buttons = {
+        a: 0, b: 1, x: 2, y: 3, leftshoulder: 4, rightshoulder: 5, lefttrigger: 6, righttrigger: 7, back: 8, start: 9,
+        leftstick: 10, rightstick: 11, dpup: 12, dpdown: 13, dpleft: 14, dpright: 15, guide: 16
+    }
+    static #sdl_axes = { leftx: 0, lefty: 1, rightx: 2, righty: 3 }
+
+    // a few mappings for common gamepads that browsers don't give a "standard" mapping, in SDL gamecontrollerdb format
+    static #default_mappings = [
+        "03000000790000001100000000000000,Retro Controller,a:b1,b:b2,back:b8,dpdown:+a1,dpleft:-a0,dpright:+a0,dpup:-a1,leftshoulder:b4,lefttrigger:b6,rightshoulder:b5,righttrigger:b7,start:b9,x:b0,y:b3,",
+        "03000000790000000600000000000000,Generic USB Joystick,a:b2,b:b1,back:b8,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,leftshoulder:b4,leftstick:b10,lefttrigger:b6,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b11,righttrigger:b7,rightx:a2,righty:a5,start:b9,x:b3,y:b0,",
+        "030000007e0500000920000000000000,Nintendo Switch Pro Controller,a:b0,b:b1,back:b8,dpdown:h0.4,dpleft:h0.8,dpright:h0.2,dpup:h0.1,guide:b12,leftshoulder:b4,leftstick:b10,lefttrigger:b6,leftx:a0,lefty:a1,rightshoulder:b5,rightstick:b11,righttrigger:b7,rightx:a2,righty:a3,start:b9,x:b2,y:b3,"
+    ].join("\n")
+
     /**
      * Constructor for Rebind objects
+     * 
+     * The settings object can have these attributes:
+     *  - `sources`: the input sources to get input from (see addSource()).  by default, this is a RebindDOMSource and a RebindGamepadSource
+     *  - `target`: the element (or document) that the default RebindDOMSource listens for keyboard and mouse events on (document by default)
+     *  - `exact_modifiers`: whether bindings only match when exactly their modifiers are held, unless the binding's `exact` setting says otherwise (false by default)
+     *  - `strict`: true to make bind() throw an error for bindings that validate() would report, or "warn" to log them instead (false by default)
+     * 
+     * @param {Object} settings settings for the Rebind object
      */
-    constructor()
+    constructor(settings={})
     {
+        super()
+
+        // the input sources that input comes from (see addSource())
+        this.sources = []
+
+        // the object that input sources send input to.  see readme.md for a description of each method
+        this.sink = this.#make_sink()
+
+        // whether destroy() has been called
+        this.destroyed = false
+
+        // the default for the `exact` setting of bindings (see bind())
+        this.exact_modifiers = !!settings.exact_modifiers
+
+        // whether bind() checks bindings: false, true (throw an error) or "warn" (log a warning).  see validate()
+        this.strict = settings.strict || false
+
+        // whether input is queued until update() is called, instead of being handled as soon as it happens (see update())
+        this.queued = !!settings.queued
+
+        // the inputs that are waiting for update() in queued mode.  each item is an object with the `time` the input
+        // happened, and a `handle` function that handles it
+        this.input_queue = []
+
+        // the time of the input being handled from the queue, or of the update() being done, in queued mode.  null
+        // if performance.now() should be used (see #now())
+        this.clock = null
+
         // object for storing bound inputs and callbacks
 
         // an object where each key represents an input, and each value is an array of actions bound to it
@@ -25,38 +122,525 @@ class Rebind
         // an object where each key represents an action, and each value is an array of callback object to be called when the action occurs
         this.action_functions = {}
 
+        // an object where each key is an action that was defined with defineAction(), and each value is its definition
+        this.action_definitions = {}
+
         // an object that stores each connected gamepad
         this.connected_gamepads = {}
 
         // an object that stores the key state of each key (keys only exist in this object if they were pressed or released at some point)
         this.key_states = {}
 
+        // an object where each key is the code (KeyboardEvent.code) of a held key, and each value is the key name it had
+        // when it was pressed.  this is used so that keys are released under the same name they were pressed with
+        this.held_keys = {}
+
+        // same as key_states, but for chord inputs (like "q+e").  each key is a chord input name
+        this.chord_states = {}
+
         // an object of objects that store the state of each button on each connected gamepad
         this.gamepad_button_states = {}
 
         // same as gamepad_button_states, but used for detecting changes - pls use gamepad_button_states if you want to read them
         this.last_gamepad_button_states = {}
 
+        // an object of objects that store the analog value (0 to 1) of each button on each connected gamepad
+        this.gamepad_button_values = {}
+
         // an object of arrays of values that store the most recent value for each gamepad axes
         this.last_gamepad_axes = {};
 
         // deadzone for gamepad axes released detection
         this.release_deadzone = 0.1;
 
-        // keyevent and gamepad event listeners
+        // an object where each key is the id of a touch stick, and each value stores its axes values (see setTouchStick())
+        this.touch_sticks = {}
 
-        document.addEventListener("keydown", ((event) => {
-            //event.preventDefault()
-            this.#handle_keydown(event, "pressed")
-        }).bind(this))
+        // an object where each key is a composite axes input (like "vector:w,s,a,d"), and each value is an object that
+        // stores its axes values for each device ("keyboard", or a gamepad index).  see #update_composites()
+        this.composite_states = {}
 
-        document.addEventListener("keyup", ((event) => {
-            //event.preventDefault()
-            this.#handle_keydown(event, "released")
-        }).bind(this))
+        // the mouse movement since update() was last called, and the movement between the last two update() calls
+        this.mouse_state = {
+            dx: 0,
+            dy: 0,
+            last_dx: 0,
+            last_dy: 0,
+            event: null
+        }
+
+        // storage adapter used to persist bindings (see useStorage()), or null if bindings aren't persisted
+        this.storage = null;
+
+        // set while a binding profile is being imported, so that bindings aren't saved after every single bind() call
+        this.suspend_saving = false;
+
+        // an object where each key is an action, and each value stores whether the action was down (and its value)
+        // the last time update() was called.  used by isDown(), justPressed() and the other polling methods
+        this.action_states = {}
+
+        // an object where each key is a key that was pressed since update() was last called.  this lets a key that
+        // was pressed and released between two update() calls still count as down for one update()
+        this.tapped_keys = {}
+
+        // the time (from performance.now()) that update() was last called
+        this.update_time = 0
+
+        // an object where each key is an action, and each value is how long (in milliseconds) a press of the action
+        // is kept for consume() (see setBuffer())
+        this.input_buffers = {}
+
+        // an object where each key identifies a type of gamepad (its vendor and product id, like "0079:0011", or its whole
+        // id), and each value is a mapping that converts it to the "standard" mapping (see addGamepadMappings())
+        this.gamepad_mappings = {}
+        this.addGamepadMappings(Rebind.#default_mappings)
+
+        // named haptic effects for rumble(), where each key is the name and each value is an effect or an array of effects
+        this.rumble_presets = Object.assign({}, Rebind.#rumble_presets)
+
+        // an object where each key is a gamepad index, and each value stores the rumble effect that is playing on the
+        // gamepad and the effects that are queued after it (see rumble())
+        this.rumble_channels = {}
+
+        // an object where each key is an action, and each value is the index of the gamepad that last caused it
+        this.action_gamepads = {}
+
+        // the index and id of each gamepad that has disconnected and not connected again, so that it can keep its
+        // identity if it does (see #reconnect_gamepad())
+        this.disconnected_gamepads = []
+
+        // the device that was used last, or null if nothing has been used yet.  this is an object with the `type`
+        // ("keyboard", "touch" or "gamepad"), the gamepad `index` (or null), and the device `family` (see gamepadFamily())
+        this.active_device = null
+
+        // the family of the gamepad that was used last, which is used to describe gamepad inputs (see describe())
+        this.gamepad_family = null
+
+        // translations of the labels made by describe().  each key is a locale (like "de"), and each value is an object
+        // where each key is an English label (like "Space"), and each value is the translated label
+        this.labels = Object.assign({}, Rebind.#labels)
+
+        // an object where each key is a player number, and each value is the RebindPlayer for that player slot
+        this.players = {}
+
+        // settings for assigning gamepads to players (see configurePlayers())
+        this.player_settings = {
+            max_players: 4,
+            assign: "connect",
+            join_inputs: ["gp-b9"],
+            keyboard_player: null
+        }
+
+        // an object where each key is the name of an input context, and each value is its RebindContext (see context())
+        this.contexts = {}
+
+        // the names of the input contexts on the context stack, from the bottom to the top.  the "default" context is
+        // always at the bottom
+        this.context_stack = ["default"]
+        this.context("default")
+
+        // the pending capture() request, or null if rebind.js isn't waiting to capture an input
+        this.capture_request = null;
+
+        // an object where each key is an input that was captured by capture() and hasn't been released yet.
+        // actions aren't processed for these inputs, so that the captured input doesn't also trigger an action
+        this.swallowed_inputs = {};
+
+        // the recording being made by startRecording(), or null if input isn't being recorded
+        this.recording = null
+
+        // the recording being played by play(), or null if nothing is being played.  live input is ignored during playback
+        this.playback = null
+
+        // input sources
+        // by default, keyboard and mouse input comes from DOM events, and gamepad input comes from the Gamepad API
+        var sources = settings.sources || [new RebindDOMSource(settings.target), new RebindGamepadSource()]
+        sources.forEach((source => this.addSource(source)).bind(this))
+    }
+
+    /**
+     * @summary Remove every input source (and so every event listener) from this object, and stop it from processing input
+     * 
+     * Any pending capture() is rejected, and every callback is removed.  The Rebind object can't be used again after this.
+     */
+    destroy()
+    {
+        if (this.destroyed) return
+        this.destroyed = true
+
+        // rumble is stopped first, since it needs the sources to find the gamepads
+        this.stopRumble()
+        this.sources.slice().forEach((source => this.removeSource(source)).bind(this))
+        this.input_queue = []
+
+        if (this.capture_request) this.#end_capture(new Error("rebind.js: capture cancelled because the Rebind object was destroyed"))
+        Object.keys(this.action_functions).forEach((action => this.off(action)).bind(this))
+    }
+
+    /**
+     * @summary Add an input source
+     * 
+     * An input source is an object that sends input to a Rebind object.  It has an `attach(sink)` method, which is
+     * called with the object to send input to (this.sink), and a `detach()` method, which should stop it from sending
+     * input.  Sources that have gamepads also have a `getGamepads()` method, which returns a list of gamepads like
+     * navigator.getGamepads() does.  See RebindDOMSource, RebindGamepadSource and RebindFakeSource.
+     * 
+     * @param {Object} source the input source
+     */
+    addSource(source)
+    {
+        if (this.sources.includes(source)) return
+        this.sources.push(source)
+        source.attach(this.sink)
+    }
+
+    /**
+     * @summary Remove an input source, so that input from it is ignored
+     * @param {Object} source the input source
+     */
+    removeSource(source)
+    {
+        if (!this.sources.includes(source)) return
+        this.sources = this.sources.filter(e => e !== source)
+        source.detach()
+    }
+
+    /**
+     * @summary Makes the object that input sources send input to
+     * 
+     * Each input is recorded (see startRecording()), and ignored while a recording is being played.  In queued mode,
+     * inputs are handled by the next update() instead of straight away.
+     * 
+     * @returns {Object} the sink, see readme.md for a description of each method
+     */
+    #make_sink()
+    {
+        return {
+            key: ((event, pressed) => {
+                if (this.playback || this.destroyed) return
+                this.#record("k", pressed ? 1 : 0, event.key, event.code, Rebind.#modifier_bits(event))
+                this.#handle_input(() => this.#handle_key_event(event, pressed ? "pressed" : "released"))
+            }).bind(this),
+
+            // mouse buttons and the wheel are handled like keys, with input names like "mouse-b0" and "mouse-wheel-up"
+            mouseButton: ((event, pressed) => {
+                if (this.playback || this.destroyed) return
+                this.#record("m", pressed ? 1 : 0, event.button, event.clientX, event.clientY, Rebind.#modifier_bits(event))
+                this.#handle_input(() => this.#handle_keydown(event, pressed ? "pressed" : "released", "mouse-b" + event.button, "mouse_button"))
+            }).bind(this),
+
+            wheel: ((event) => {
+                if (this.playback || this.destroyed) return
+                this.#record("w", event.deltaY, event.clientX, event.clientY, Rebind.#modifier_bits(event))
+                this.#handle_input(() => this.#handle_wheel(event))
+            }).bind(this),
+
+            mouseMove: ((event) => {
+                if (this.playback || this.destroyed) return
+                this.#record("v", event.movementX || 0, event.movementY || 0, event.clientX, event.clientY)
+                this.#handle_input(() => this.#handle_mousemove(event))
+            }).bind(this),
+
+            // key releases aren't sent to the page (or element) once it loses focus, so held keys are released when it does
+            blur: (() => {
+                if (this.playback || this.destroyed) return
+                this.#record("b")
+                this.#handle_input(() => this.#release_held_inputs())
+            }).bind(this),
+
+            gamepadConnected: ((gamepad) => {
+                if (this.playback || this.destroyed) return
+                this.#record("c", 1, gamepad.index, gamepad.id, gamepad.mapping, gamepad.buttons.length, gamepad.axes.length)
+                this.#handle_input(() => this.#gamepadHandler({ gamepad: gamepad }, true))
+            }).bind(this),
+
+            gamepadDisconnected: ((gamepad) => {
+                if (this.playback || this.destroyed) return
+                this.#record("c", 0, gamepad.index, gamepad.id, gamepad.mapping, gamepad.buttons.length, gamepad.axes.length)
+                this.#handle_input(() => this.#gamepadHandler({ gamepad: gamepad }, false))
+            }).bind(this)
+        }
+    }
+
+    /**
+     * @summary Handle an input straight away, or add it to the input queue in queued mode
+     * @param {Function} handle a function that handles the input
+     */
+    #handle_input(handle)
+    {
+        if (this.queued) this.input_queue.push({ time: performance.now(), handle: handle })
+        else handle()
+    }
+
+    /**
+     * @summary Handle the queued inputs that happened up to a time, in the order they happened
+     * 
+     * While each input is handled, #now() is the time it happened, so that timing (like sequence windows) is the
+     * same as if it was handled straight away.
+     * 
+     * @param {number} time the time to handle inputs up to
+     */
+    #dispatch_queue(time)
+    {
+        while (this.input_queue.length > 0 && this.input_queue[0].time <= time)
+        {
+            var entry = this.input_queue.shift()
+            this.clock = entry.time
+            entry.handle()
+        }
+        this.clock = time
+    }
+
+    /**
+     * @summary Get the gamepads from every input source that has gamepads
+     * @returns {Gamepad[]} a list of gamepads, where each gamepad is at its index (like navigator.getGamepads())
+     */
+    #get_gamepads()
+    {
+        var gamepads = []
+        this.sources.forEach(source => {
+            if (!source.getGamepads) return
+            Array.from(source.getGamepads()).forEach(gamepad => {
+                if (gamepad) gamepads[gamepad.index] = gamepad
+            })
+        })
+        return gamepads
+    }
+
+    /**
+     * @summary Get the current time
+     * 
+     * During playback, this is the time that the input being played happened at, so that timing (like sequence
+     * windows and heldFor()) works the same as when the recording was made.  In queued mode, it's the time that the
+     * queued input happened at, or the time of the update() (see update()).
+     * 
+     * @returns {number} the time in milliseconds, like performance.now()
+     */
+    #now()
+    {
+        if (this.playback) return this.playback.clock
+        return (this.clock !== null) ? this.clock : performance.now()
+    }
+
+    /**
+     * @summary Add an input to the recording, if input is being recorded
+     * 
+     * Each input is recorded as an array of the time (in milliseconds since recording started), the type of input,
+     * and the input's data.  See readme.md for a description of each type.
+     * 
+     * @param {string} type the type of input
+     * @param {...*} data the input's data
+     */
+    #record(type, ...data)
+    {
+        if (!this.recording) return
+        this.recording.events.push([Math.round((performance.now() - this.recording.start) * 100) / 100, type, ...data])
+    }
+
+    /**
+     * @summary Record the state of the gamepads for one update()
+     * 
+     * If nothing has changed since the last update(), only the time is recorded.
+     * 
+     * @param {Gamepad[]} gamepads the gamepads returned by navigator.getGamepads()
+     */
+    #record_gamepads(gamepads)
+    {
+        if (!this.recording) return
+
+        var states = []
+        Array.from(gamepads).forEach(gamepad => {
+            if (!gamepad) return
+            states.push([
+                gamepad.index,
+                gamepad.buttons.map(button => button.value),
+                gamepad.buttons.flatMap((button, i) => button.pressed ? [i] : []),
+                Array.from(gamepad.axes)
+            ])
+        })
+
+        var json = JSON.stringify(states)
+        if (json == this.recording.last_gamepads) this.#record("u")
+        else this.#record("u", states)
+        this.recording.last_gamepads = json
+    }
+
+    /**
+     * @summary Play the recording up to a time (in milliseconds from the start of the recording)
+     * @param {number} time the time to play up to
+     */
+    #play_until(time)
+    {
+        var playback = this.playback
+        while (this.playback === playback && playback.index < playback.events.length && playback.events[playback.index][0] <= time)
+        {
+            this.#play_event(playback.events[playback.index++])
+        }
+    }
+
+    /**
+     * @summary Move the recording being played forward, by the time since update() was last called
+     * 
+     * Once the end of the recording is reached, playback stops (or starts again, if it loops).
+     */
+    #advance_playback()
+    {
+        var playback = this.playback
+        var now = performance.now()
+
+        if (!playback.paused) playback.time += (now - playback.last_update) * playback.speed
+        playback.last_update = now
+
+        this.#play_until(playback.time)
+
+        if (this.playback === playback && playback.index >= playback.events.length && playback.time >= playback.duration)
+        {
+            if (playback.loop) this.seekPlayback(0)
+            else this.stopPlayback()
+        }
+    }
+
+    /**
+     * @summary Play one recorded input, through the same methods as live inputs
+     * 
+     * Recorded events are turned back into objects that look like the original events (with a `replayed` attribute).
+     * 
+     * @param {Array} entry the recorded input, see #record()
+     */
+    #play_event(entry)
+    {
+        var [time, type, ...data] = entry
+        var playback = this.playback
+        playback.clock = playback.start + time
+
+        // make an object that looks like a keyboard or mouse event
+        const event = (attributes, modifiers=0) => Object.assign({
+            ctrlKey: !!(modifiers & 1),
+            shiftKey: !!(modifiers & 2),
+            altKey: !!(modifiers & 4),
+            metaKey: !!(modifiers & 8),
+            replayed: true
+        }, attributes)
+
+        switch (type)
+        {
+            case "k":
+                this.#handle_key_event(event({ type: data[0] ? "keydown" : "keyup", key: data[1], code: data[2] }, data[3]), data[0] ? "pressed" : "released")
+                break
 
-        window.addEventListener("gamepadconnected", (function(e) { this.#gamepadHandler(e, true); }).bind(this), false);
-        window.addEventListener("gamepaddisconnected", (function(e) { this.#gamepadHandler(e, false); }).bind(this), false);
+            case "m":
+                var mouse = event({ type: data[0] ? "mousedown" : "mouseup", button: data[1], clientX: data[2], clientY: data[3] }, data[4])
+                this.#handle_keydown(mouse, data[0] ? "pressed" : "released", "mouse-b" + data[1], "mouse_button")
+                break
+
+            case "w":
+                this.#handle_wheel(event({ type: "wheel", deltaY: data[0], clientX: data[1], clientY: data[2] }, data[3]))
+                break
+
+            case "v":
+                this.#handle_mousemove(event({ type: "mousemove", movementX: data[0], movementY: data[1], clientX: data[2], clientY: data[3] }))
+                break
+
+            case "b":
+                this.#release_held_inputs()
+                break
+
+            case "tb":
+                this.#handle_keydown(null, data[1] ? "pressed" : "released", "touch-b:" + data[0], "touch_button")
+                break
+
+            case "ts":
+                this.#set_touch_stick(data[0], [data[1], data[2]], null)
+                break
+
+            case "c":
+                var [connected, index, id, mapping, num_buttons, num_axes] = data
+                playback.gamepads[index] = { id: id, mapping: mapping }
+                this.#gamepadHandler({ gamepad: Rebind.#recorded_gamepad(index, id, mapping, new Array(num_buttons).fill(0), [], new Array(num_axes).fill(0), connected, time) }, !!connected)
+                if (!connected) delete playback.gamepads[index]
+                break
+
+            case "u":
+                if (data.length) playback.last_gamepads = data[0]
+
+                var gamepads = []
+                playback.last_gamepads.forEach(([index, values, pressed, axes]) => {
+                    var info = playback.gamepads[index] || { id: "", mapping: "" }
+                    gamepads[index] = Rebind.#recorded_gamepad(index, info.id, info.mapping, values, pressed, axes, true, time)
+                })
+                this.#update(gamepads)
+                break
+        }
+    }
+
+    /**
+     * @summary Make an object that looks like a Gamepad, from a recorded gamepad state
+     * @param {number} index the index of the gamepad
+     * @param {string} id the id of the gamepad
+     * @param {string} mapping the mapping of the gamepad ("standard" or "")
+     * @param {number[]} values the value of each button
+     * @param {number[]} pressed the numbers of the buttons that are pressed
+     * @param {number[]} axes the value of each axis
+     * @param {boolean} connected whether the gamepad is connected
+     * @param {number} timestamp the time the state was recorded
+     * @returns {Object} the gamepad
+     */
+    static #recorded_gamepad(index, id, mapping, values, pressed, axes, connected, timestamp)
+    {
+        return {
+            id: id,
+            index: index,
+            mapping: mapping,
+            connected: !!connected,
+            timestamp: timestamp,
+            buttons: values.map((value, i) => ({ pressed: pressed.includes(i), touched: value > 0, value: value })),
+            axes: axes.slice()
+        }
+    }
+
+    /**
+     * @summary Forget the state of every input, as if nothing had been pressed
+     * 
+     * This is used when playback starts or seeks, so that the recording starts from a clean state.  No callbacks are called.
+     */
+    #reset_input_state()
+    {
+        this.connected_gamepads = {}
+        this.key_states = {}
+        this.held_keys = {}
+        this.chord_states = {}
+        this.gamepad_button_states = {}
+        this.last_gamepad_button_states = {}
+        this.gamepad_button_values = {}
+        this.last_gamepad_axes = {}
+        this.touch_sticks = {}
+        this.composite_states = {}
+        this.mouse_state = { dx: 0, dy: 0, last_dx: 0, last_dy: 0, event: null }
+        this.action_states = {}
+        this.tapped_keys = {}
+        this.swallowed_inputs = {}
+        this.input_queue = []
+        this.disconnected_gamepads = []
+
+        Object.values(this.keydown_actions).forEach(actions => actions.forEach(action => {
+            if (action.input_type == "sequence")
+            {
+                action.step = 0
+                action.step_time = 0
+                action.completed = false
+            }
+            if (action.analog) action.analog_states = {}
+        }))
+    }
+
+    /**
+     * @summary Pack the modifier keys held during an event into a number, for recordings
+     * @param {KeyboardEvent|MouseEvent} event the event
+     * @returns {number} 1 for ctrl, plus 2 for shift, plus 4 for alt, plus 8 for meta
+     */
+    static #modifier_bits(event)
+    {
+        return (event.ctrlKey ? 1 : 0) | (event.shiftKey ? 2 : 0) | (event.altKey ? 4 : 0) | (event.metaKey ? 8 : 0)
     }
 
     /**
@@ -65,25 +649,59 @@ class Rebind
      * The action's callback won't actually be executed by this method.  This just tells rebind.js
      * to map one or more inputs to an action, whose callback will later be executed when those inputs
      * happen.
+     * 
+     * Keys can be bound by name (event.key, like "w") or by physical position (event.code, like "code:KeyW").
+     * Old key names like "Left" are normalised to the standard names (like "ArrowLeft").
+     * 
+     * If `settings.player` is set to a player number, the bindings only apply to that player's
+     * devices (see player()).  If `settings.context` is set to the name of an input context, the
+     * bindings belong to that context instead of the "default" context (see context()).
      * @param {string} action 
      * @param {string[]} inputs 
      */
     bind(action, inputs, settings={})
     {
+        var player = settings.player || null
+        var context = this.context(settings.context || "default").name
+
+        // actions defined with defineAction() can have rules about what can be bound to them, which are always checked
+        var rule_problems = this.#rule_problems(action, [
+            ...this.#bindings_of(action),
+            ...inputs.map(input => ({ input: Rebind.#normalize_input(input), player: player, context: context }))
+        ])
+        if (rule_problems.length > 0) throw new Error(`rebind.js: ${rule_problems[0]}`)
+
+        // malformed inputs are an error, which is found before binding any of the inputs so the action isn't half bound
+        inputs.forEach(input => {
+            input = Rebind.#normalize_input(input)
+            if (Rebind.#is_composite(input) && !Rebind.#composite_parts(input)) throw new Error(`rebind.js: "${input}" doesn't have the right number of inputs`)
+        })
+
+        // in strict mode, check every input before binding any of them
+        if (this.strict)
+        {
+            inputs.forEach((input => {
+                var problems = this.#binding_problems(action, Object.assign({}, settings, { input: Rebind.#normalize_input(input) }))
+                problems.forEach(problem => {
+                    if (this.strict === "warn") console.warn(`rebind.js: ${problem}`)
+                    else throw new Error(`rebind.js: ${problem}`)
+                })
+            }).bind(this))
+        }
+
         inputs.forEach((input => {
-            
+
+            input = Rebind.#normalize_input(input)
+
             // if the keydown action has no action array
             if (!(input in this.keydown_actions)) this.keydown_actions[input] = []
 
             // if the action isn't already in the actions array
-            if (!this.keydown_actions[input].some(e => e.action === action))
+            if (!this.keydown_actions[input].some(e => e.action === action && e.player === player && e.context === context))
             {
 
                 // determine input type
-                var input_type = "key";
-                if (input === "any") input_type = "any";
-                else if (input.startsWith("gp-b")) input_type = "gamepad_button";
-                else if (input.startsWith("gp-a")) input_type = "gamepad_axes";
+                var input_type = Rebind.#input_type(input)
                 
                 // add the action to the keydown thing
                 var bind_settings = {
@@ -91,22 +709,67 @@ class Rebind
                     ctrl: !!settings.ctrl,
                     shift: !!settings.shift,
                     alt: !!settings.alt,
+                    meta: !!settings.meta,
                     none: !!settings.none,
+                    exact: ("exact" in settings) ? !!settings.exact : this.exact_modifiers,
+                    player: player,
+                    context: context,
                     input_type: input_type
                 }
 
                 // add axes settings
-                if (input_type == "gamepad_axes")
+                if (input_type == "gamepad_axes" || input_type == "touch_axes" || input_type == "composite_axes")
                 {
                     if ("func" in settings) bind_settings.axes_function = settings.func
                     else {
-                        bind_settings.deadzone = settings.deadzone || 0.1
+                        bind_settings.deadzone = ("deadzone" in settings) ? settings.deadzone : 0.1
                         bind_settings.condition_x = settings.condition_x || "any"
                         bind_settings.condition_y = settings.condition_y || "any"
                     }
 
-                    if (input == "gp-a-right") bind_settings.axes = [2, 3]
-                    else this.bind.axes = [0, 1]
+                    bind_settings.axes = (input_type == "gamepad_axes") ? Rebind.#axes_indices(input) : (input.startsWith("axis:")) ? [0] : [0, 1]
+                    if (!("deadzone" in bind_settings)) bind_settings.deadzone = ("deadzone" in settings) ? settings.deadzone : 0.1
+
+                    // axes processing settings
+                    bind_settings.invert_x = !!settings.invert_x
+                    bind_settings.invert_y = !!settings.invert_y
+                    bind_settings.deadzone_type = settings.deadzone_type || "axial"
+                    bind_settings.outer_deadzone = settings.outer_deadzone || 0
+                    bind_settings.saturation = ("saturation" in settings) ? settings.saturation : 1
+                    bind_settings.curve = settings.curve || "linear"
+
+                    // whether diagonals of composite vectors are scaled down to a length of 1
+                    if (input_type == "composite_axes") bind_settings.normalize = ("normalize" in settings) ? !!settings.normalize : true
+                }
+
+                // add mouse movement settings (the deadzone is in pixels)
+                if (input_type == "mouse_move")
+                {
+                    bind_settings.deadzone = settings.deadzone || 0
+                    bind_settings.condition_x = settings.condition_x || "any"
+                    bind_settings.condition_y = settings.condition_y || "any"
+                    bind_settings.invert_x = !!settings.invert_x
+                    bind_settings.invert_y = !!settings.invert_y
+                }
+
+                // add analog button settings
+                if (input_type == "gamepad_button" && (settings.analog || "press_threshold" in settings || "release_threshold" in settings))
+                {
+                    bind_settings.analog = true
+                    bind_settings.press_threshold = ("press_threshold" in settings) ? settings.press_threshold : 0.5
+                    bind_settings.release_threshold = ("release_threshold" in settings) ? settings.release_threshold : Math.max(bind_settings.press_threshold - 0.1, 0)
+
+                    // the pressed state and value of the button on each gamepad, as seen by this binding
+                    bind_settings.analog_states = {}
+                }
+
+                // add sequence settings
+                if (input_type == "sequence")
+                {
+                    bind_settings.steps = input.split(" > ").map(step => Rebind.#is_chord(step) ? step.split("+") : [step])
+                    bind_settings.window = settings.window || 500
+                    bind_settings.step = 0
+                    bind_settings.step_time = 0
                 }
 
                 this.keydown_actions[input].push(bind_settings);
@@ -114,46 +777,67 @@ class Rebind
             }
 
         }).bind(this));
+
+        this.#save_bindings()
     }
 
     /**
      * Remove bindings for every input bound to an action
+     * 
+     * Only bindings that aren't specific to a player are removed, unless `settings.player` is set to a
+     * player number, in which case only that player's bindings are removed.  Likewise, only bindings in
+     * the "default" input context are removed, unless `settings.context` is set.
      * @param {string} action 
      */
-    clear(action)
+    clear(action, settings={})
     {
+        var player = settings.player || null
+        var context = settings.context || "default"
+        const bound = (e) => e.action === action && e.player === player && e.context === context
+
         // clear each keybind for an action
         if (action in this.keydown_actions) this.keydown_actions[action].length = 0
 
         for (const [input, actions] of Object.entries(this.keydown_actions))
         {
-            if (this.keydown_actions[input].some(e => e.action === action)) // if the key is bound to the action
+            if (this.keydown_actions[input].some(bound)) // if the key is bound to the action
             {
                 // remove the binding to the action
-                var index = this.keydown_actions[input].indexOf(this.keydown_actions[input].find(e => e.action === action))
+                var index = this.keydown_actions[input].indexOf(this.keydown_actions[input].find(bound))
                 if (index > -1) this.keydown_actions[input].splice(index, 1)
             }
 
         }
+
+        this.#save_bindings()
     }
 
     /**
      * Remove bindings for one or more input bound to an action
+     * 
+     * Like clear(), this only removes bindings that aren't specific to a player or an input context, unless
+     * `settings.player` or `settings.context` is set.
      * @param {string} action 
      * @param {string[]} inputs 
      */
-    remove(action, inputs)
+    remove(action, inputs, settings={})
     {
+        var player = settings.player || null
+        var context = settings.context || "default"
+        const bound = (e) => e.action === action && e.player === player && e.context === context
+
         inputs.forEach((passed_input => {
+
+            passed_input = Rebind.#normalize_input(passed_input)
             
             for (const [input, actions] of Object.entries(this.keydown_actions))
             {
                 if (input == passed_input)
                 {
-                    if (this.keydown_actions[input].some(e => e.action === action)) // if the key is bound to the action
+                    if (this.keydown_actions[input].some(bound)) // if the key is bound to the action
                     {
                         // remove the binding to the action
-                        var index = this.keydown_actions[input].indexOf(this.keydown_actions[input].find(e => e.action === action))
+                        var index = this.keydown_actions[input].indexOf(this.keydown_actions[input].find(bound))
                         if (index > -1) this.keydown_actions[input].splice(index, 1)
                     }
                 }
@@ -161,383 +845,4485 @@ class Rebind
             }
 
         }).bind(this));
+
+        this.#save_bindings()
     }
 
     /**
-     * @summary Register a callback to be executed when an action occurs.
+     * @summary Export every binding as a binding profile
      * 
-     * Use this method to register a function to an action, to be called when an input
-     * bound to that action happens.  This method can be called several times for one
-     * action, so that an action occuring may cause the execution of many callbacks.
+     * The profile is a plain object that can be passed to JSON.stringify(), and later passed back to
+     * importBindings() to restore the bindings.  Bindings that use an axes function (the `func` setting)
+     * are exported without the function, since functions can't be serialised.
      * 
-     * @param {string} action the action name
-     * @param {action_occurrance} func a callback to call whenever the action occurs
+     * @returns {Object} a binding profile, see readme.md for a description of the format
      */
-    on(action, func, settings={})
+    exportBindings()
     {
-        // if the action function object has no array for an action, create one
-        if (!(action in this.action_functions)) this.action_functions[action] = []
+        var profile = {
+            version: Rebind.profile_version,
+            bindings: {}
+        }
 
-        // add the function to the action function array
-        this.action_functions[action].push({
-            func: func,
-            expiry: settings.expiry || 0,
-            frequency: settings.frequency || "default"
-        })
-    }
+        for (const [input, actions] of Object.entries(this.keydown_actions))
+        {
+            actions.forEach(action => {
 
-    /**
-     * @summary Polls the gamepad and handles any "continuous" or "change" keyboard events
-     */
-    update()
-    {
-        // poll gamepad
+                if (!(action.action in profile.bindings)) profile.bindings[action.action] = []
 
-        var gamepads = navigator.getGamepads();
-        const num_gamepads = Object.keys(gamepads).length
+                var binding = { input: input }
 
-        for (var g = 0; g < num_gamepads; g++) // for each connected gamepad
-        {
-            const gamepad = gamepads[g];
+                // only store the modifier settings that are set, to keep profiles small
+                if (action.ctrl) binding.ctrl = true
+                if (action.shift) binding.shift = true
+                if (action.alt) binding.alt = true
+                if (action.meta) binding.meta = true
+                if (action.none) binding.none = true
+                if (action.exact != this.exact_modifiers) binding.exact = action.exact
+                if (action.player) binding.player = action.player
+                if (action.context != "default") binding.context = action.context
 
-            // the list returned by navigator.getGamepads() can contain null values.
-            // this checks if the list element is null, or if it's an actual gamepad
-            if (gamepad)
-            {
-                // iterate over each gamepad button
-                var any_pressed = false;
-                for (var i = 0; i < gamepad.buttons.length; i++)
+                // store axes settings
+                if ((action.input_type == "gamepad_axes" || action.input_type == "touch_axes" || action.input_type == "composite_axes") && !("axes_function" in action))
                 {
-                    // determine the input name based on the button id
-                    var btn = gamepad.buttons[i];
-                    var input = "gp-b" + i.toString();
+                    binding.deadzone = action.deadzone
+                    binding.condition_x = action.condition_x
+                    binding.condition_y = action.condition_y
+                }
 
-                    // save gamepad button state
-                    if (!(gamepad.index in this.gamepad_button_states)) this.gamepad_button_states[gamepad.index] = {}
-                    this.gamepad_button_states[gamepad.index][i] = btn.pressed
-                    
-                    // if the button is pressed, and there is at least one action bound to the input
-                    if (btn.pressed && (input in this.keydown_actions))
-                    {
-                        this.#process_actions(input, "pressed", gamepad, "continuous")
-                    }
+                // store mouse movement settings
+                if (action.input_type == "mouse_move")
+                {
+                    binding.deadzone = action.deadzone
+                    binding.condition_x = action.condition_x
+                    binding.condition_y = action.condition_y
+                    if (action.invert_x) binding.invert_x = true
+                    if (action.invert_y) binding.invert_y = true
+                }
 
-                    // handle "any" action
-                    if (btn.pressed)
-                    {
-                        if ("any" in this.keydown_actions) this.#process_actions(input, "pressed", gamepad, "continuous", [], true)
-                    }
+                // store axes processing settings (only the ones that aren't the defaults)
+                if (action.input_type == "gamepad_axes" || action.input_type == "touch_axes" || action.input_type == "composite_axes")
+                {
+                    if (action.normalize === false) binding.normalize = false
+                    if (action.invert_x) binding.invert_x = true
+                    if (action.invert_y) binding.invert_y = true
+                    if (action.deadzone_type != "axial") binding.deadzone_type = action.deadzone_type
+                    if (action.outer_deadzone) binding.outer_deadzone = action.outer_deadzone
+                    if (action.saturation != 1) binding.saturation = action.saturation
+                    if (typeof action.curve === "string" && action.curve != "linear") binding.curve = action.curve
+                }
 
+                // store analog button settings
+                if (action.analog)
+                {
+                    binding.analog = true
+                    binding.press_threshold = action.press_threshold
+                    binding.release_threshold = action.release_threshold
                 }
 
-                // process gamepad axes
-                this.#process_actions("gp-a-left",  "pressed", gamepad, "continuous", [gamepad.axes[0], gamepad.axes[1]])
-                this.#process_actions("gp-a-right", "pressed", gamepad, "continuous", [gamepad.axes[2], gamepad.axes[3]])
+                // store sequence settings
+                if (action.input_type == "sequence") binding.window = action.window
 
-                if (!(gamepad.index in this.last_gamepad_axes)) this.last_gamepad_axes[gamepad.index] = []
-                if (gamepad.axes[0] != this.last_gamepad_axes[gamepad.index][0] || gamepad.axes[1] != this.last_gamepad_axes[gamepad.index][1]) 
-                {
-                    this.#process_actions("gp-a-left",  "pressed", gamepad, "change", [gamepad.axes[0], gamepad.axes[1]])
-                    this.#process_actions("gp-a-left",  "pressed", gamepad, "change", [gamepad.axes[0], gamepad.axes[1]], true)
-                    this.last_gamepad_axes[gamepad.index][0] = gamepad.axes[0];
-                    this.last_gamepad_axes[gamepad.index][1] = gamepad.axes[1];
+                profile.bindings[action.action].push(binding)
+            })
+        }
 
-                    if ( (gamepad.axes[0] < this.release_deadzone && gamepad.axes[0] > -this.release_deadzone) &&
-                         (gamepad.axes[1] < this.release_deadzone && gamepad.axes[1] > -this.release_deadzone) ) 
-                    {
-                        this.#process_actions("gp-a-left",  "released", gamepad, "change", [gamepad.axes[0], gamepad.axes[1]])
-                        this.#process_actions("gp-a-left",  "released", gamepad, "continuous", [gamepad.axes[0], gamepad.axes[1]])
-                        this.#process_actions("gp-a-left",  "released", gamepad, "change", [gamepad.axes[0], gamepad.axes[1]], true)
-                        this.#process_actions("gp-a-left",  "released", gamepad, "continuous", [gamepad.axes[0], gamepad.axes[1]], true)
-                    }
-                }
+        return profile
+    }
 
-                if (gamepad.axes[2] != this.last_gamepad_axes[gamepad.index][2] || gamepad.axes[3] != this.last_gamepad_axes[gamepad.index][3]) 
-                {
-                    this.#process_actions("gp-a-right", "pressed", gamepad, "change", [gamepad.axes[2], gamepad.axes[3]])
-                    this.#process_actions("gp-a-right", "pressed", gamepad, "change", [gamepad.axes[2], gamepad.axes[3]], true)
-                    this.last_gamepad_axes[gamepad.index][2] = gamepad.axes[2];
-                    this.last_gamepad_axes[gamepad.index][3] = gamepad.axes[3];
+    /**
+     * @summary Replace the current bindings with the bindings in a binding profile
+     * 
+     * The profile is validated before any bindings are changed, so if the profile is malformed an
+     * error is thrown and the current bindings are left as they are.
+     * 
+     * @param {Object|string} profile a binding profile returned by exportBindings(), or a JSON string of one
+     * @param {Object} settings pass `{merge: true}` to add the profile's bindings to the current bindings instead of replacing them
+     */
+    importBindings(profile, settings={})
+    {
+        if (typeof profile === "string") profile = JSON.parse(profile)
+        this.#validate_profile(profile, !!settings.merge)
 
-                    if ( (gamepad.axes[2] < this.release_deadzone && gamepad.axes[2] > -this.release_deadzone) &&
-                         (gamepad.axes[3] < this.release_deadzone && gamepad.axes[3] > -this.release_deadzone) ) 
-                    {
-                        this.#process_actions("gp-a-right",  "released", gamepad, "change", [gamepad.axes[2], gamepad.axes[3]])
-                        this.#process_actions("gp-a-right",  "released", gamepad, "continuous", [gamepad.axes[2], gamepad.axes[3]])
-                        this.#process_actions("gp-a-right",  "released", gamepad, "change", [gamepad.axes[2], gamepad.axes[3]], true)
-                        this.#process_actions("gp-a-right",  "released", gamepad, "continuous", [gamepad.axes[2], gamepad.axes[3]], true)
-                    }
-                }
+        this.suspend_saving = true
+        try
+        {
+            if (!settings.merge) this.keydown_actions = {}
+
+            for (const [action, bindings] of Object.entries(profile.bindings))
+            {
+                bindings.forEach((binding => {
+                    this.bind(action, [binding.input], binding)
+                }).bind(this))
             }
         }
+        finally
+        {
+            this.suspend_saving = false
+        }
 
-        // detect gamepad button changes
-        for (const [index, gp] of Object.entries(this.gamepad_button_states))
+        this.#save_bindings()
+    }
+
+    /**
+     * @summary Persist bindings using a storage adapter
+     * 
+     * Once a storage adapter is set, any bindings previously saved by it are loaded (replacing the current
+     * bindings), and the bindings are saved again whenever bind(), remove(), clear() or importBindings() is called.
+     * A storage adapter is an object with a `load()` method that returns a binding profile (or null if nothing
+     * has been saved), and a `save(profile)` method.  Pass null to stop persisting bindings.
+     * 
+     * @param {Object|null} storage the storage adapter, for example one made by Rebind.localStorageAdapter()
+     */
+    useStorage(storage)
+    {
+        this.storage = storage
+        if (!storage) return
+
+        // saved bindings that can't be loaded (like corrupt JSON) are ignored, so the current bindings are kept
+        try
         {
-            for (const [btn, pressed] of Object.entries(gp))
-            {
-                if (!(index in this.last_gamepad_button_states))
-                {
-                    this.last_gamepad_button_states[index] = {}
-                    this.last_gamepad_button_states[index][btn] = "none"
-                }
+            var profile = storage.load()
+            if (profile) this.importBindings(profile)
+        }
+        catch (error)
+        {
+            console.warn(`rebind.js: ignoring saved bindings: ${error.message}`)
+        }
+    }
 
-                // if the button state has changed since last time update() was run
-                if (this.last_gamepad_button_states[index][btn] != pressed)
-                {
-                    // process the action
-                    var input = "gp-b" + btn.toString();
-                    this.#process_actions(input, pressed ? "pressed" : "released", gamepads[index], "change")
-                    this.#process_actions(input, pressed ? "pressed" : "released", gamepads[index], "change", [], true)
+    /**
+     * @summary Make a storage adapter that saves bindings to localStorage
+     * @param {string} key the name of the localStorage item to save bindings to
+     * @param {Storage} storage the Storage object to use (localStorage by default)
+     * @returns {Object} a storage adapter that can be passed to useStorage()
+     */
+    static localStorageAdapter(key, storage=window.localStorage)
+    {
+        return {
+            load: () => {
+                var json = storage.getItem(key)
+                return json ? JSON.parse(json) : null
+            },
+            save: (profile) => {
+                storage.setItem(key, JSON.stringify(profile))
+            }
+        }
+    }
+
+    /**
+     * @summary Save the current bindings, if a storage adapter is set
+     */
+    #save_bindings()
+    {
+        if (this.storage && !this.suspend_saving) this.storage.save(this.exportBindings())
+    }
+
+    /**
+     * @summary Check that a binding profile is well formed, and throw an error if it isn't
+     * 
+     * The bindings are also checked against the rules of actions defined with defineAction(), and in strict mode,
+     * against the checks bind() makes.
+     * 
+     * @param {Object} profile the binding profile to check
+     * @param {boolean} merge whether the profile's bindings will be added to the current bindings
+     */
+    #validate_profile(profile, merge=false)
+    {
+        const fail = (message) => { throw new Error(`rebind.js: invalid binding profile: ${message}`) }
+
+        if (typeof profile !== "object" || profile === null) fail("profile isn't an object")
+        if (profile.version !== Rebind.profile_version) fail(`unsupported version ${profile.version}`)
+        if (typeof profile.bindings !== "object" || profile.bindings === null || Array.isArray(profile.bindings)) fail("bindings isn't an object")
 
-                    // if the button is released, process an action as if it were a continuous one
-                    // (because the continuous button code doesn't detect button releases)
-                    if (!pressed) this.#process_actions(input, "released", gamepads[index], "continuous")
+        for (const [action, bindings] of Object.entries(profile.bindings))
+        {
+            if (!Array.isArray(bindings)) fail(`bindings for action "${action}" aren't an array`)
+
+            bindings.forEach(binding => {
+                if (typeof binding !== "object" || binding === null) fail(`a binding for action "${action}" isn't an object`)
+                if (typeof binding.input !== "string" || binding.input === "") fail(`a binding for action "${action}" has no input`)
+                if (Rebind.#is_composite(binding.input) && !Rebind.#composite_parts(binding.input)) fail(`"${binding.input}" for action "${action}" doesn't have the right number of inputs`)
 
-                    if (!(index in this.last_gamepad_button_states)) this.last_gamepad_button_states[index] = {}
-                    this.last_gamepad_button_states[index][btn] = pressed
+                var problems = Rebind.#setting_problems(action, binding)
+                if (problems.length > 0) fail(problems[0])
+
+                // in strict mode, bind() would throw part way through importing, so its checks are made first
+                if (this.strict === true)
+                {
+                    problems = this.#binding_problems(action, Object.assign({}, binding, { input: Rebind.#normalize_input(binding.input) }))
+                    if (problems.length > 0) fail(problems[0])
                 }
-            }
+            })
+
+            var rule_problems = this.#rule_problems(action, [
+                ...(merge ? this.#bindings_of(action) : []),
+                ...bindings.map(binding => ({ input: Rebind.#normalize_input(binding.input), player: binding.player || null, context: binding.context || "default" }))
+            ])
+            if (rule_problems.length > 0) fail(rule_problems[0])
         }
+    }
 
-        // handle continuous key events
-        for (const [key, state] of Object.entries(this.key_states))
+    /**
+     * @summary Check the settings of a binding for values that are the wrong type or out of range
+     * @param {string} action the action name
+     * @param {Object} binding the binding, in the format used by binding profiles (see exportBindings())
+     * @returns {string[]} a message for each problem
+     */
+    static #setting_problems(action, binding)
+    {
+        const conditions = ["pos", "neg", "any", "either", "deadzone", "none"]
+        var problems = []
+
+        for (const modifier of ["ctrl", "shift", "alt", "meta", "none", "exact"])
         {
-            if (state.state == "pressed") this.#process_actions(key, "pressed", state.event, "continuous")
-            if (state.state == "pressed") this.#process_actions(input, "pressed", state.event, "continuous", [], true)
+            if (modifier in binding && typeof binding[modifier] !== "boolean") problems.push(`"${modifier}" for action "${action}" isn't a boolean`)
+        }
+        if ("context" in binding && (typeof binding.context !== "string" || binding.context === "")) problems.push(`context for action "${action}" isn't a context name`)
+        // a null player means the binding isn't for a particular player, like leaving it out does
+        if (binding.player != null && !(Number.isInteger(binding.player) && binding.player > 0)) problems.push(`player for action "${action}" isn't a player number`)
+        if ("deadzone" in binding && (typeof binding.deadzone !== "number" || binding.deadzone < 0 || (binding.deadzone > 1 && binding.input != "mouse-move"))) problems.push(`deadzone for action "${action}" isn't a number between 0 and 1`)
+        if ("condition_x" in binding && !conditions.includes(binding.condition_x)) problems.push(`unknown condition_x "${binding.condition_x}" for action "${action}"`)
+        if ("condition_y" in binding && !conditions.includes(binding.condition_y)) problems.push(`unknown condition_y "${binding.condition_y}" for action "${action}"`)
+        for (const invert of ["invert_x", "invert_y"])
+        {
+            if (invert in binding && typeof binding[invert] !== "boolean") problems.push(`"${invert}" for action "${action}" isn't a boolean`)
+        }
+        if ("deadzone_type" in binding && !["axial", "radial"].includes(binding.deadzone_type)) problems.push(`unknown deadzone_type "${binding.deadzone_type}" for action "${action}"`)
+        if ("outer_deadzone" in binding && (typeof binding.outer_deadzone !== "number" || binding.outer_deadzone < 0 || binding.outer_deadzone > 1)) problems.push(`outer_deadzone for action "${action}" isn't a number between 0 and 1`)
+        if ("saturation" in binding && (typeof binding.saturation !== "number" || binding.saturation < 0)) problems.push(`saturation for action "${action}" isn't a positive number`)
+        if ("curve" in binding && typeof binding.curve !== "function" && !(binding.curve in Rebind.#curves)) problems.push(`unknown curve "${binding.curve}" for action "${action}"`)
+        for (const threshold of ["press_threshold", "release_threshold"])
+        {
+            if (threshold in binding && (typeof binding[threshold] !== "number" || binding[threshold] < 0 || binding[threshold] > 1)) problems.push(`${threshold} for action "${action}" isn't a number between 0 and 1`)
         }
+        if ("analog" in binding && typeof binding.analog !== "boolean") problems.push(`"analog" for action "${action}" isn't a boolean`)
+        if ("normalize" in binding && typeof binding.normalize !== "boolean") problems.push(`"normalize" for action "${action}" isn't a boolean`)
+        if ("window" in binding && ![].concat(binding.window).every(window => typeof window === "number" && window > 0)) problems.push(`window for action "${action}" isn't a positive number or an array of them`)
+
+        return problems
     }
 
     /**
-     * @summary Calls each callback registered for a given input
-     * 
-     * This method will check to see if there are any callbacks registered for a given input.  If there is, it will call
-     * them.  When they are called, this method will check that the conditions for the callback to be called are right
-     * (eg: that the control key is pressed for an action the requires it to be pressed).  It also handles callback 
-     * expiry.
+     * @summary Check a binding for everything that validate() reports
      * 
-     * The context parameter should contain a string that describes how often this method is called from where it is called.
-     * It should be one of:
-     *  - "continuous": called every frame (for example, in the update() method)
-     *  - "change": called when a key or button state changes from pressed to released
-     *  - "repeat": called by a keyboard event listener (hence will be called every key repeat)
+     * As well as the checks done on binding profiles, this checks that the input name is one that rebind.js knows
+     * about, and that the settings make sense together and for the type of input.
      * 
-     * @param {string} input the name of the input (like "a" or "gp-b4")
-     * @param {string} key_action whether the key / button was "pressed" or "released"
-     * @param {KeyboardEvent|Gamepad} event if the action was caused by a key, this should be the KeyboardEvent that caused it.  if the action was caused by a gamepad, this should be the Gamepad object for the gamepad that caused it
-     * @param {string} context where the method was called from (specifically how often this method is called from the place)
-     * @param {boolean} any whether the call to this method was caused by any key
+     * @param {string} action the action name
+     * @param {Object} binding the binding, in the format used by binding profiles (see exportBindings())
+     * @returns {string[]} a message for each problem
      */
-    #process_actions(input, key_action, event, context, axes=[], any=false)
+    #binding_problems(action, binding)
     {
-        var actions = this.keydown_actions[any ? "any" : input];
-        if (actions)
+        var input = binding.input
+        var input_problem = Rebind.#input_problem(input)
+        if (input_problem) return [`${input_problem} for action "${action}"`]
+
+        var problems = Rebind.#setting_problems(action, binding)
+        var input_type = Rebind.#input_type(input)
+        var modifiers = ["ctrl", "shift", "alt", "meta"].filter(modifier => binding[modifier])
+        var has_axes = ["gamepad_axes", "touch_axes", "composite_axes", "mouse_move"].includes(input_type)
+
+        if (binding.none && modifiers.length > 0) problems.push(`"none" and "${modifiers[0]}" are both set for "${input}" for action "${action}", so it can never occur`)
+        if ((modifiers.length > 0 || binding.none) && !["key", "key_code", "any", "mouse_button", "mouse_wheel", "mouse_move"].includes(input_type)) problems.push(`modifier settings don't apply to "${input}" for action "${action}"`)
+        for (const setting of ["deadzone", "condition_x", "condition_y", "invert_x", "invert_y", "deadzone_type", "outer_deadzone", "saturation", "curve", "func"])
         {
-            actions.forEach((action => {
-                
-                // check the action conditions
-                if (action.input_type === "key" || action.input_type == "any")
-                {
-                    if (action.ctrl && !event.ctrlKey) return;
-                    if (action.alt && !event.altKey) return;
-                    if (action.shift && !event.shiftKey) return;
-                    if (action.none && (event.ctrlKey || event.altKey || event.shiftKey)) return;
-                }
+            if (setting in binding && !has_axes) problems.push(`"${setting}" doesn't apply to "${input}" for action "${action}", since it isn't an axes input`)
+        }
+        for (const setting of ["analog", "press_threshold", "release_threshold"])
+        {
+            if (setting in binding && input_type != "gamepad_button") problems.push(`"${setting}" doesn't apply to "${input}" for action "${action}", since it isn't a gamepad button`)
+        }
+        if ("window" in binding && input_type != "sequence") problems.push(`"window" doesn't apply to "${input}" for action "${action}", since it isn't a sequence`)
+        if ("normalize" in binding && !input.startsWith("vector:")) problems.push(`"normalize" doesn't apply to "${input}" for action "${action}", since it isn't a composite vector`)
+        if (typeof binding.press_threshold === "number" && typeof binding.release_threshold === "number" && binding.release_threshold > binding.press_threshold) problems.push(`release_threshold is higher than press_threshold for "${input}" for action "${action}"`)
+        if (binding.condition_x == "none" && (binding.condition_y == "none" || Rebind.#axes_indices(input).length == 1)) problems.push(`the conditions for "${input}" for action "${action}" are all "none", so it occurs whenever the axes change`)
 
-                // if there is a function registered for this action, call it
-                if (action.action in this.action_functions) this.action_functions[action.action].forEach(((func, i, arr) => {
+        return problems
+    }
 
-                    // check the action frequency
-                    // console.log(action.input_type, func.frequency, context)
+    /**
+     * @summary Define an action, with a label, default bindings, and rules about what can be bound to it
+     * 
+     * Actions don't have to be defined, but defined actions are listed by actions(), can be reset to their default
+     * bindings with reset(), and have their rules checked by bind().  The settings object can have these attributes:
+     *  - `label`: a name to show to the user, like "Jump" (the action name by default)
+     *  - `category`: a name for grouping actions in a control settings menu, like "Movement" (null by default)
+     *  - `defaults`: the default bindings, as an array of input names, or of bindings in the binding profile format
+     *    (like `{ input: "gp-a-left", condition_x: "neg" }`).  these are bound now if the action has no bindings yet
+     *  - `allowed_input_types`: an array of the input types that can be bound to the action (see capture()), or null for any
+     *  - `max_bindings`: the most bindings the action can have for each player and input context, or null for no limit
+     * 
+     * `allowedInputTypes` and `maxBindings` can be used instead of `allowed_input_types` and `max_bindings`.  Any other
+     * attribute is an error, so that misspelt rules aren't silently ignored.
+     * 
+     * @param {string} action the action name
+     * @param {Object} settings the action's definition
+     */
+    defineAction(action, settings={})
+    {
+        const fail = (message) => { throw new Error(`rebind.js: can't define action "${action}": ${message}`) }
 
-                    // if the callback context isn't defnied (like "default" or "blah")
-                    if (func.frequency != "continuous" && func.frequency != "change" && func.frequency != "repeat")
-                    {
-                        if (action.input_type == "gamepad_axes" && context != "continuous") return;
-                        if (action.input_type == "gamepad_button" && context != "change") return;
-                        if (action.input_type == "any" && context != "change") return;
-                        if (action.input_type == "key" && context != "repeat") return; 
-                    }
-                    else
-                    {
-                        // if the context is a defined one and it is repeat
-                        if (func.frequency == "repeat")
-                        {
-                            
-                            // if the action is caused by a gamepad input, and the context isn't a button state change
-                            if (action.input_type == "gamepad_button" || action.input_type == "any") 
-                            {
-                                if (context != "change") return;
-                            }
-
-                            // if the action is caused by a gamepad input, and the context isn't continuous
-                            if (action.input_type == "gamepad_axes") 
-                            {
-                                if (context != "continuous") return;
-                            }
-
-                            // return if the context isn't the same as the callbacks
-                            else if (func.frequency != context) return;
-
-                        }
-
-                        // return if the context isn't the same as the callbacks
-                        else if (func.frequency != context) return;
-                    }
+        if (typeof action !== "string" || action === "") throw new Error("rebind.js: action names must be non-empty strings")
 
-                    // handle axes conditions
-                    if (action.input_type == "gamepad_axes" && key_action != "released")
-                    {
-                        var conditions = [action.condition_x, action.condition_y]
-                        var either_failed = 0;
-                        for (var i = 0; i < 2; i++)
-                        {
-                            switch(conditions[i])
-                            {
-                                case "pos":
-                                    if (axes[i] < action.deadzone) return;
-                                    break;
-
-                                case "neg":
-                                    if (axes[i] > -action.deadzone) return;
-                                    break;
-
-                                case "any":
-                                    if ( (axes[i] > -action.deadzone) && (axes[i] < action.deadzone) ) either_failed++;
-                                    break;
-
-                                case "either":
-                                    if ( (axes[i] > -action.deadzone) && (axes[i] < action.deadzone) ) return;
-                                    break;
-
-                                case "deadzone":
-                                    if (!( (axes[i] > -action.deadzone) && (axes[i] < action.deadzone) )) return;
-                                    break;
-
-                                case "none":
-                                    // don't care
-                                    break;
-                            }
-                        }
-                        if (either_failed == 2) return;
-                    }
+        // accept the camelCase names of the rules too
+        settings = Object.assign({}, settings)
+        for (const [alias, name] of [["allowedInputTypes", "allowed_input_types"], ["maxBindings", "max_bindings"]])
+        {
+            if (!(alias in settings)) continue
+            if (name in settings) fail(`"${alias}" and "${name}" are both set`)
+            settings[name] = settings[alias]
+            delete settings[alias]
+        }
+        var unknown = Object.keys(settings).find(key => !["label", "category", "defaults", "allowed_input_types", "max_bindings"].includes(key))
+        if (unknown !== undefined) fail(`unknown setting "${unknown}"`)
 
-                    // call the callback
-                    var params = {
-                        input_name: input,
-                        input_type: action.input_type, 
-                        key_action: key_action, 
-                        event: (action.input_type == "key") ?  event : null, 
-                        gamepad: (action.input_type != "key") ? event : null,
-                        expiry: func.expiry,
-                        frequency: func.frequency
-                    }
+        if ("label" in settings && typeof settings.label !== "string") fail("label must be a string")
+        if ("category" in settings && settings.category !== null && typeof settings.category !== "string") fail("category must be a string")
+        if ("defaults" in settings && !Array.isArray(settings.defaults)) fail("defaults must be an array")
+        if (settings.allowed_input_types && (!Array.isArray(settings.allowed_input_types) || settings.allowed_input_types.some(type => !Rebind.#input_types.includes(type)))) fail(`allowed_input_types must be an array of input types (${Rebind.#input_types.join(", ")})`)
+        if (settings.max_bindings != null && !(Number.isInteger(settings.max_bindings) && settings.max_bindings >= 1)) fail("max_bindings must be a whole number that's at least 1")
 
-                    if (action.input_type == "gamepad_axes")
-                    {
-                        params.axes = axes;
-                    }
+        var definition = {
+            label: settings.label || action,
+            category: settings.category || null,
+            defaults: (settings.defaults || []).map(binding => (typeof binding === "string") ? { input: binding } : Object.assign({}, binding)),
+            allowed_input_types: settings.allowed_input_types ? settings.allowed_input_types.slice() : null,
+            max_bindings: (settings.max_bindings != null) ? settings.max_bindings : null
+        }
 
-                    func.func(params)
+        // the defaults have to follow the rules too
+        var problems = this.#rule_problems(action, definition.defaults.map(binding => ({ input: Rebind.#normalize_input(binding.input), player: binding.player || null, context: binding.context || "default" })), false, definition)
+        if (problems.length > 0) fail(problems[0])
 
-                    // handle callback expiry
-                    if (func.expiry > 0)
-                    {
-                        var expiry = func.expiry -= 1;
-                        if (expiry == 0) 
-                        {
-                            console.log(`${action.action} callback ${i} expired`)
-                            arr.splice(i, 1)
-                        }
-                    }
+        this.action_definitions[action] = definition
+        if (this.#bindings_of(action).length == 0) this.#bind_defaults(action)
+    }
 
-                }).bind(this));
+    /**
+     * @summary List every action
+     * 
+     * Actions defined with defineAction() come first, in the order they were defined, followed by actions that
+     * have bindings or callbacks but weren't defined.
+     * 
+     * @param {Object} settings pass `{category: name}` to only list the actions in a category
+     * @returns {Object[]} an array of actions, which are objects with the `action` name, and its `label`, `category`,
+     * `defaults`, `allowed_input_types` and `max_bindings` (see defineAction()), and `defined`
+     */
+    actions(settings={})
+    {
+        var names = new Set(Object.keys(this.action_definitions))
+        Object.values(this.keydown_actions).forEach(actions => actions.forEach(action => names.add(action.action)))
+        Object.keys(this.action_functions).forEach(action => {
+            if (this.action_functions[action].length > 0) names.add(action)
+        })
 
+        return Array.from(names)
+            .map((action => {
+                var definition = this.action_definitions[action]
+                if (!definition) return { action: action, label: action, category: null, defaults: [], allowed_input_types: null, max_bindings: null, defined: false }
+                return {
+                    action: action,
+                    label: definition.label,
+                    category: definition.category,
+                    defaults: definition.defaults.map(binding => Object.assign({}, binding)),
+                    allowed_input_types: definition.allowed_input_types,
+                    max_bindings: definition.max_bindings,
+                    defined: true
+                }
             }).bind(this))
-        }
+            .filter(action => !("category" in settings) || action.category === settings.category)
     }
 
     /**
-     * @summary an internal function used to process keyevents
-     * @param {KeyboardEvent} event the event passed to the keydown / keyup callback
-     * @param {string} key_action the name of the event (ie: "keydown" or "keyup")
-     * @private
+     * @summary Replace every binding of an action with its default bindings (see defineAction())
+     * 
+     * This removes the action's bindings for every player and input context.
+     * 
+     * @param {string} action the action name
      */
-    #handle_keydown(event, key_action)
+    reset(action)
     {
-        // handle key state change
-        if (!(event.key in this.key_states)) this.key_states[event.key] = {
-            state: "none",
-            event: event
-        }
+        if (!(action in this.action_definitions)) throw new Error(`rebind.js: can't reset action "${action}", because it wasn't defined with defineAction()`)
 
-        if (this.key_states[event.key].state != key_action)
+        var saving = this.suspend_saving
+        this.suspend_saving = true
+        try
         {
-            // process change callbacks
-            this.#process_actions(event.key, key_action, event, "change")
-            this.#process_actions(event.key, key_action, event, "change", [], true)
-
-            // if the key was released, process continuous callbacks
-            // (the code for polling key states for continuous callbacks can't see key releases)
-            if (key_action == "released")
+            for (const [input, actions] of Object.entries(this.keydown_actions))
             {
-                this.#process_actions(event.key, key_action, event, "continuous")
-                this.#process_actions(event.key, key_action, event, "continuous", [], true)
+                this.keydown_actions[input] = actions.filter(e => e.action !== action)
             }
+            this.#bind_defaults(action)
         }
-
-        // store the key state
-        this.key_states[event.key] = {
-            state: key_action,
-            event: event
+        finally
+        {
+            this.suspend_saving = saving
         }
 
-        // if the key name (input) has an action bound to it
-        if (event.key in this.keydown_actions) this.#process_actions(event.key, key_action, event, "repeat")
+        this.#save_bindings()
+    }
 
-        // handle 'any' key
-        if ("any" in this.keydown_actions) this.#process_actions(event.key, key_action, event, "repeat", [], true)
+    /**
+     * @summary Reset every action defined with defineAction() to its default bindings
+     * 
+     * Actions that weren't defined keep their bindings.
+     */
+    resetAll()
+    {
+        var saving = this.suspend_saving
+        this.suspend_saving = true
+        try
+        {
+            Object.keys(this.action_definitions).forEach((action => this.reset(action)).bind(this))
+        }
+        finally
+        {
+            this.suspend_saving = saving
+        }
+
+        this.#save_bindings()
     }
 
     /**
-     * @summary Handler for when gamepads are connected or disconnected
-     * https://developer.mozilla.org/en-US/docs/Web/API/Gamepad_API/Using_the_Gamepad_API
-     * @param {*} event 
-     * @param {*} connecting 
+     * @summary Bind the default bindings of a defined action
+     * @param {string} action the action name
      */
-    #gamepadHandler(event, connecting) {
-        var gamepad = event.gamepad;
-        // Note:
-        // gamepad === navigator.getGamepads()[gamepad.index]
-      
-        if (connecting) {
+    #bind_defaults(action)
+    {
+        this.action_definitions[action].defaults.forEach((binding => {
+            this.bind(action, [binding.input], binding)
+        }).bind(this))
+    }
 
-            // save the gamepad
-            this.connected_gamepads[gamepad.index] = gamepad;
-            if (!(gamepad.index in this.gamepad_button_states)) this.gamepad_button_states[gamepad.index] = {}
-            if (!(gamepad.index in this.last_gamepad_button_states)) this.last_gamepad_button_states[gamepad.index] = {}
-            if (!(gamepad.index in this.last_gamepad_axes)) this.last_gamepad_axes[gamepad.index] = [gamepad.axes[0], gamepad.axes[1], gamepad.axes[2], gamepad.axes[3]]
+    /**
+     * @summary Get the input, player and context of every binding of an action
+     * @param {string} action the action name
+     * @returns {Object[]} an array of objects with the `input`, `player` and `context` of each binding
+     */
+    #bindings_of(action)
+    {
+        var bindings = []
+        for (const [input, actions] of Object.entries(this.keydown_actions))
+        {
+            actions.forEach(e => {
+                if (e.action === action) bindings.push({ input: input, player: e.player, context: e.context })
+            })
+        }
+        return bindings
+    }
 
-            console.log(this.last_gamepad_axes)
+    /**
+     * @summary Check a set of bindings for an action against the action's rules (see defineAction())
+     * @param {string} action the action name
+     * @param {Object[]} bindings every binding the action would have, as objects with the `input`, `player` and `context`
+     * @param {boolean} details whether to return objects with the `input` and `message`, instead of messages
+     * @param {Object} definition the action's definition (the one from defineAction() by default)
+     * @returns {string[]|Object[]} the problems, or an empty array if the bindings follow the rules
+     */
+    #rule_problems(action, bindings, details=false, definition=this.action_definitions[action])
+    {
+        var problems = []
+        if (!definition) return problems
 
-            // iterate over each gamepad button
-            for (var i = 0; i < gamepad.buttons.length; i++)
+        // the same input can only be bound once for each player and context, so duplicates don't count
+        var groups = {}
+        bindings.forEach(binding => {
+            var type = Rebind.#input_type(binding.input)
+            if (definition.allowed_input_types && !definition.allowed_input_types.includes(type))
             {
-                // determine the input name based on the button id
-                var btn = gamepad.buttons[i];
-                var input = "gp-b" + i.toString();
-
-                // save gamepad button state
-                this.gamepad_button_states[gamepad.index][i] = btn.pressed
+                problems.push({ input: binding.input, message: `"${binding.input}" is a ${type} input, but action "${action}" can only be bound to ${definition.allowed_input_types.join(", ")} inputs` })
+            }
 
-                // save gamepad button state
-                this.last_gamepad_button_states[gamepad.index][i] = btn.pressed? "none" : false
+            var group = JSON.stringify([binding.player || null, binding.context || "default"])
+            if (!(group in groups)) groups[group] = []
+            if (!groups[group].includes(binding.input)) groups[group].push(binding.input)
+        })
 
+        if (definition.max_bindings !== null)
+        {
+            for (const [group, inputs] of Object.entries(groups))
+            {
+                if (inputs.length <= definition.max_bindings) continue
+                var [player, context] = JSON.parse(group)
+                var owner = (player ? ` for player ${player}` : "") + (context != "default" ? ` in context "${context}"` : "")
+                problems.push({ input: inputs[definition.max_bindings], message: `action "${action}" can only have ${definition.max_bindings} binding${definition.max_bindings == 1 ? "" : "s"}${owner}` })
             }
-            
+        }
 
-        } else {
-            delete this.connected_gamepads[gamepad.index];
+        return details ? problems : problems.map(problem => problem.message)
+    }
+
+    /**
+     * @summary Check every binding for unknown input names and settings that don't make sense
+     * 
+     * Bindings that break the rules of actions defined with defineAction() are reported too.  Nothing is changed.  To check bindings as they're made, use the `strict` setting of the constructor.
+     * 
+     * @returns {Object[]} an array of problems, which are objects with the `action`, the `input` and a `message`
+     */
+    validate()
+    {
+        var problems = []
+        for (const [action, bindings] of Object.entries(this.exportBindings().bindings))
+        {
+            bindings.forEach((binding => {
+                this.#binding_problems(action, binding).forEach(message => problems.push({ action: action, input: binding.input, message: message }))
+            }).bind(this))
         }
-      }
-}
\ No newline at end of file
+
+        // bindings made before an action was defined can break its rules
+        for (const action of Object.keys(this.action_definitions))
+        {
+            this.#rule_problems(action, this.#bindings_of(action), true).forEach(problem => problems.push(Object.assign({ action: action }, problem)))
+        }
+        return problems
+    }
+
+    /**
+     * @summary Find inputs that are bound to more than one action
+     * 
+     * Two bindings conflict if they're for the same input in the same input context, and the same press could cause
+     * both of them.  Bindings for different players don't conflict, and neither do bindings whose modifier settings
+     * (like ctrl+z and z with `none` set) or axes conditions (like "pos" and "neg") can't both be met at once.
+     * 
+     * @param {string} action only return conflicts for this action (or nothing for every conflict)
+     * @returns {Object[]} an array of conflicts, which are objects with the `input`, the `context`, the two `actions` and their `players`
+     */
+    conflicts(action)
+    {
+        var conflicts = []
+        for (const [input, bindings] of Object.entries(this.keydown_actions))
+        {
+            bindings.forEach((a, i) => bindings.slice(i + 1).forEach(b => {
+                if (a.action === b.action || !Rebind.#bindings_overlap(a, b)) return
+                if (action !== undefined && a.action !== action && b.action !== action) return
+
+                conflicts.push({ input: input, context: a.context, actions: [a.action, b.action], players: [a.player, b.player] })
+            }))
+        }
+        return conflicts
+    }
+
+    /**
+     * @summary Checks whether the same input could cause two bindings at once (see conflicts())
+     * @param {Object} a a binding, from keydown_actions
+     * @param {Object} b another binding for the same input
+     * @returns {boolean} whether the bindings overlap
+     */
+    static #bindings_overlap(a, b)
+    {
+        if (a.context !== b.context) return false
+        if (a.player !== null && b.player !== null && a.player !== b.player) return false
+
+        // a modifier that one binding needs can't be held if the other binding needs exactly its own modifiers
+        const required = (binding) => ["ctrl", "shift", "alt", "meta"].filter(modifier => binding[modifier])
+        const only = (binding) => binding.exact || binding.none
+        var a_modifiers = required(a)
+        var b_modifiers = required(b)
+        if (only(a) && b_modifiers.some(modifier => !a_modifiers.includes(modifier))) return false
+        if (only(b) && a_modifiers.some(modifier => !b_modifiers.includes(modifier))) return false
+
+        // axes conditions overlap if some position of the axes meets both of them
+        const ranges = { pos: ["pos"], neg: ["neg"], any: ["pos", "neg"], either: ["pos", "neg"], deadzone: ["rest"] }
+        const compatible = (x, y) => x === undefined || y === undefined || x == "none" || y == "none" || ranges[x].some(range => ranges[y].includes(range))
+        if (!compatible(a.condition_x, b.condition_x)) return false
+        if (a.axes && a.axes.length == 2 && !compatible(a.condition_y, b.condition_y)) return false
+
+        return true
+    }
+
+    /**
+     * @summary Get the inputs bound to an action, with labels for showing them to the user
+     * 
+     * Each binding is an object in the format used by binding profiles (see exportBindings()), with these attributes
+     * from describe() added: `label`, `glyph`, `symbol`, `family` and `device`.  Bindings also have an `active`
+     * attribute, which is true if the binding is for the type of device that was used last, and those bindings
+     * come first.  So `getBindings("jump")[0].label` is the label to show in a prompt like "Press Space".
+     * 
+     * @param {string} action the action name
+     * @param {Object} settings settings for describe() (`device` and `locale`), and `player` or `context` to only get those bindings
+     * @returns {Object[]} the bindings
+     */
+    getBindings(action, settings={})
+    {
+        var active_type = this.active_device ? this.active_device.type : "keyboard"
+
+        var bindings = (this.exportBindings().bindings[action] || [])
+            .filter(binding => !("player" in settings) || (binding.player || null) === settings.player)
+            .filter(binding => !("context" in settings) || (binding.context || "default") === settings.context)
+            .map((binding => {
+                var description = this.describe(binding.input, Object.assign({}, binding, { device: settings.device, locale: settings.locale }))
+                description.active = (description.device == active_type)
+                return Object.assign(binding, description)
+            }).bind(this))
+
+        // sort() is stable, so the bindings keep their order otherwise
+        return bindings.sort((a, b) => b.active - a.active)
+    }
+
+    /**
+     * @summary Describe an input for showing it to the user
+     * 
+     * The settings object can have these attributes:
+     *  - `device`: the family of gamepad to describe gamepad inputs for ("xbox", "playstation", "nintendo" or "generic"),
+     *    or a gamepad index.  by default, this is the family of the gamepad that was used last
+     *  - `locale`: the locale to translate labels to, using `labels` (navigator.language by default)
+     *  - `ctrl`, `shift`, `alt`, `meta`: modifiers to add to the label of keys (like "Ctrl+Z")
+     *  - `condition_x`, `condition_y`: conditions to add a direction to the label of axes (like "Left Stick Left")
+     * 
+     * The returned object has these attributes:
+     *  - `label`: the text to show, like "Space", "Ctrl+Z", "Left Mouse Button", "A" or "Cross"
+     *  - `glyph`: an id for an image of a gamepad button or stick, like "xbox-a" or "playstation-cross" (null for other inputs)
+     *  - `symbol`: a short version of the label, which uses a symbol for face buttons, like "Ⓐ" or "✕"
+     *  - `family`: the family that gamepad inputs were described for, or "keyboard" or "touch"
+     *  - `device`: the type of device the input is on: "keyboard" (which includes the mouse), "gamepad", "touch" or "any"
+     * 
+     * @param {string} input the input name
+     * @param {Object} settings how to describe the input
+     * @returns {Object} the description
+     */
+    describe(input, settings={})
+    {
+        input = Rebind.#normalize_input(input)
+
+        var locale = settings.locale || ((typeof navigator !== "undefined" && navigator.language) ? navigator.language : "en")
+        var family = settings.device
+        if (typeof family === "number") family = this.gamepadFamily(family)
+        if (!Rebind.#gamepad_labels[family]) family = this.gamepad_family || this.#connected_family() || "generic"
+
+        const translate = (text) => this.#translate(text, locale)
+        var description = Rebind.#describe_input(input, family, translate, locale)
+
+        // add modifiers to keys and mouse inputs
+        var modifiers = ["ctrl", "shift", "alt", "meta"].filter(modifier => settings[modifier])
+        if (description.device == "keyboard" && modifiers.length > 0)
+        {
+            var names = modifiers.map(modifier => translate({ ctrl: "Ctrl", shift: "Shift", alt: "Alt", meta: "Meta" }[modifier]))
+            description.label = [...names, description.label].join("+")
+            description.symbol = description.label
+        }
+
+        // add directions to axes
+        var direction = Rebind.#direction(settings.condition_x, settings.condition_y)
+        if (direction && Rebind.#input_type(input).endsWith("_axes"))
+        {
+            description.label += " " + translate(direction)
+            description.symbol += " " + { Left: "←", Right: "→", Up: "↑", Down: "↓" }[direction]
+            if (description.glyph) description.glyph += "-" + direction.toLowerCase()
+        }
+
+        if (description.device != "gamepad") family = description.device
+        return Object.assign({ family: family }, description)
+    }
+
+    /**
+     * @summary Work out which family a gamepad belongs to, from its id
+     * @param {number} index the index of the gamepad
+     * @returns {string|null} "xbox", "playstation", "nintendo" or "generic", or null if the gamepad isn't connected
+     */
+    gamepadFamily(index)
+    {
+        var gamepad = this.connected_gamepads[index] || this.#get_gamepads()[index]
+        if (!gamepad) return null
+
+        var id = gamepad.id.toLowerCase()
+        if (/xbox|xinput|045e/.test(id)) return "xbox"
+        if (/playstation|dualshock|dualsense|sony|054c/.test(id)) return "playstation"
+        if (/nintendo|switch|joy-con|057e/.test(id)) return "nintendo"
+        return "generic"
+    }
+
+    /**
+     * @summary Get the family of the first connected gamepad
+     * @returns {string|null} the family, or null if no gamepads are connected
+     */
+    #connected_family()
+    {
+        var index = Object.keys(this.connected_gamepads)[0]
+        return (index === undefined) ? null : this.gamepadFamily(Number(index))
+    }
+
+    /**
+     * @summary Change the active device, and dispatch an "activedevicechanged" event if it's different
+     * @param {string} type "keyboard", "touch" or "gamepad"
+     * @param {number|null} index the gamepad index, for gamepads
+     */
+    #set_active_device(type, index=null)
+    {
+        var family = (type == "gamepad") ? (this.gamepadFamily(index) || "generic") : type
+        if (type == "gamepad") this.gamepad_family = family
+
+        var previous = this.active_device
+        if (previous && previous.type == type && previous.index === index) return
+
+        this.active_device = { type: type, index: index, family: family }
+
+        // gamepads have the same details as the gamepad events, so that listeners can handle them the same way
+        var gamepad = (type == "gamepad") ? (this.#get_gamepads()[index] || this.connected_gamepads[index]) : null
+        this.dispatchEvent(new CustomEvent("activedevicechanged", {
+            detail: {
+                device: this.active_device,
+                previous: previous,
+                family_changed: !previous || previous.family != family,
+                index: index,
+                id: gamepad ? gamepad.id : null,
+                mapping: gamepad ? gamepad.mapping : null,
+                player: (type == "gamepad") ? this.playerForGamepad(index) : this.player_settings.keyboard_player
+            }
+        }))
+    }
+
+    /**
+     * @summary Translate a label using `labels`
+     * @param {string} text the English label
+     * @param {string} locale the locale, like "de" or "de-AT" (which falls back to "de")
+     * @returns {string} the translated label, or the English label if there isn't a translation
+     */
+    #translate(text, locale)
+    {
+        for (const name of [locale, locale.split("-")[0]])
+        {
+            if (this.labels[name] && text in this.labels[name]) return this.labels[name][text]
+        }
+        return text
+    }
+
+    /**
+     * @summary Works out the direction of an axes binding's conditions, for describe()
+     * @param {string} condition_x the binding's condition_x
+     * @param {string} condition_y the binding's condition_y
+     * @returns {string|null} "Left", "Right", "Up" or "Down", or null if the conditions aren't one direction
+     */
+    static #direction(condition_x, condition_y)
+    {
+        var x = (condition_x == "pos") ? "Right" : (condition_x == "neg") ? "Left" : null
+        var y = (condition_y == "pos") ? "Down" : (condition_y == "neg") ? "Up" : null
+        const unset = (condition) => !condition || condition == "any" || condition == "none"
+        if (x && unset(condition_y)) return x
+        if (y && unset(condition_x)) return y
+        return null
+    }
+
+    /**
+     * @summary Describe an input without modifiers or directions (see describe())
+     * @param {string} input the (normalised) input name
+     * @param {string} family the gamepad family
+     * @param {Function} translate a function that translates an English label
+     * @param {string} locale the locale, for making single characters upper case
+     * @returns {Object} the `label`, `glyph`, `symbol` and `device` of the input
+     */
+    static #describe_input(input, family, translate, locale)
+    {
+        const text = (label, device) => ({ label: label, glyph: null, symbol: label, device: device })
+        const join = (parts, separator, symbol_separator=separator) => {
+            var descriptions = parts.map(part => Rebind.#describe_input(part, family, translate, locale))
+            return {
+                label: descriptions.map(e => e.label).join(separator),
+                glyph: null,
+                symbol: descriptions.map(e => e.symbol).join(symbol_separator),
+                device: descriptions[0].device
+            }
+        }
+
+        switch (Rebind.#input_type(input))
+        {
+            case "any":
+                return text(translate("Any Key"), "any")
+
+            case "sequence":
+                return join(input.split(" > "), ", ", " ")
+
+            case "chord":
+                return join(input.split("+"), " + ", "+")
+
+            case "composite_axes":
+                var parts = Rebind.#composite_parts(input)
+                if (input == "vector:gp-b12,gp-b13,gp-b14,gp-b15") return { label: translate("D-pad"), glyph: family + "-dpad", symbol: translate("D-pad"), device: "gamepad" }
+                return parts ? join(parts, "/") : text(input, "any")
+
+            case "gamepad_button":
+                var button = Number(input.substring(4))
+                var labels = Rebind.#gamepad_labels[family]
+                if (!(button in labels.buttons)) return text(translate("Button") + " " + button, "gamepad")
+
+                var [label, glyph, symbol] = labels.buttons[button]
+                return { label: translate(label), glyph: family + "-" + glyph, symbol: symbol || translate(label), device: "gamepad" }
+
+            case "gamepad_axes":
+                var stick = { "gp-a-left": "Left Stick", "gp-a-right": "Right Stick" }[input]
+                if (stick) return { label: translate(stick), glyph: family + "-" + stick.toLowerCase().replace(" ", "-"), symbol: translate(stick), device: "gamepad" }
+                return text(translate("Axis") + " " + Rebind.#axes_indices(input).join("/"), "gamepad")
+
+            case "mouse_button":
+                var names = ["Left Mouse Button", "Middle Mouse Button", "Right Mouse Button", "Mouse Button 4", "Mouse Button 5"]
+                return text(translate(names[input.substring(7)] || input), "keyboard")
+
+            case "mouse_wheel":
+                return text(translate(input == "mouse-wheel-up" ? "Scroll Up" : "Scroll Down"), "keyboard")
+
+            case "mouse_move":
+                return text(translate("Mouse"), "keyboard")
+
+            case "touch_button":
+            case "touch_axes":
+                return text(input.substring(8), "touch")
+
+            case "key_code":
+                var code = input.substring(5)
+                var match = /^(?:Key|Digit)(.)$/.exec(code)
+                if (match) return text(match[1], "keyboard")
+
+                var side = /^(.*)(Left|Right)$/.exec(code)
+                if (side && ["Shift", "Control", "Alt", "Meta"].includes(side[1])) return text(translate(side[2] + " " + Rebind.#key_label(side[1])), "keyboard")
+                if (code.startsWith("Numpad")) return text(translate("Num") + " " + Rebind.#key_label(code.substring(6)), "keyboard")
+                if (code == "Space") return text(translate("Space"), "keyboard")
+                return text(translate(Rebind.#key_label(code)), "keyboard")
+
+            default:
+                if ([...input].length == 1 && input != " ") return text(input.toLocaleUpperCase(locale), "keyboard")
+                return text(translate(Rebind.#key_label(input)), "keyboard")
+        }
+    }
+
+    /**
+     * @summary Get the English label of a key name (like "Space" for " ", or "Page Up" for "PageUp")
+     * @param {string} key the key name
+     * @returns {string} the label
+     */
+    static #key_label(key)
+    {
+        var labels = {
+            " ": "Space", Control: "Ctrl", Escape: "Esc", Delete: "Del", ArrowUp: "Up Arrow", ArrowDown: "Down Arrow",
+            ArrowLeft: "Left Arrow", ArrowRight: "Right Arrow", Add: "+", Subtract: "-", Multiply: "*", Divide: "/", Decimal: "."
+        }
+        if (key in labels) return labels[key]
+
+        // split names like "PageUp" into words
+        return key.replace(/([a-z])([A-Z0-9])/g, "$1 $2")
+    }
+
+    // labels for the buttons of the "standard" mapping for each family of gamepad.  each button has a label, a glyph
+    // id, and optionally a symbol
+    static #gamepad_labels = {
+        xbox: { buttons: [
+            ["A", "a", "Ⓐ"], ["B", "b", "Ⓑ"], ["X", "x", "Ⓧ"], ["Y", "y", "Ⓨ"], ["LB", "lb"], ["RB", "rb"], ["LT", "lt"], ["RT", "rt"],
+            ["View", "view"], ["Menu", "menu"], ["LS", "ls"], ["RS", "rs"], ["D-pad Up", "dpad-up", "↑"], ["D-pad Down", "dpad-down", "↓"],
+            ["D-pad Left", "dpad-left", "←"], ["D-pad Right", "dpad-right", "→"], ["Xbox", "guide"]
+        ] },
+        playstation: { buttons: [
+            ["Cross", "cross", "✕"], ["Circle", "circle", "○"], ["Square", "square", "□"], ["Triangle", "triangle", "△"], ["L1", "l1"], ["R1", "r1"],
+            ["L2", "l2"], ["R2", "r2"], ["Create", "create"], ["Options", "options"], ["L3", "l3"], ["R3", "r3"], ["D-pad Up", "dpad-up", "↑"],
+            ["D-pad Down", "dpad-down", "↓"], ["D-pad Left", "dpad-left", "←"], ["D-pad Right", "dpad-right", "→"], ["PS", "ps"]
+        ] },
+        nintendo: { buttons: [
+            ["B", "b", "Ⓑ"], ["A", "a", "Ⓐ"], ["Y", "y", "Ⓨ"], ["X", "x", "Ⓧ"], ["L", "l"], ["R", "r"], ["ZL", "zl"], ["ZR", "zr"],
+            ["Minus", "minus", "−"], ["Plus", "plus", "+"], ["Left Stick Button", "ls"], ["Right Stick Button", "rs"], ["D-pad Up", "dpad-up", "↑"],
+            ["D-pad Down", "dpad-down", "↓"], ["D-pad Left", "dpad-left", "←"], ["D-pad Right", "dpad-right", "→"], ["Home", "home"]
+        ] },
+        generic: { buttons: [
+            ["South", "south"], ["East", "east"], ["West", "west"], ["North", "north"], ["Left Bumper", "lb"], ["Right Bumper", "rb"],
+            ["Left Trigger", "lt"], ["Right Trigger", "rt"], ["Select", "select"], ["Start", "start"], ["Left Stick Button", "ls"],
+            ["Right Stick Button", "rs"], ["D-pad Up", "dpad-up", "↑"], ["D-pad Down", "dpad-down", "↓"], ["D-pad Left", "dpad-left", "←"],
+            ["D-pad Right", "dpad-right", "→"], ["Home", "home"]
+        ] }
+    }
+
+    // the default translations of labels (see describe())
+    static #labels = {
+        de: {
+            "Space": "Leertaste", "Enter": "Eingabe", "Esc": "Esc", "Shift": "Umschalt", "Ctrl": "Strg", "Backspace": "Rücktaste", "Del": "Entf",
+            "Insert": "Einfg", "Home": "Pos1", "End": "Ende", "Page Up": "Bild auf", "Page Down": "Bild ab", "Caps Lock": "Feststelltaste",
+            "Up Arrow": "Pfeil nach oben", "Down Arrow": "Pfeil nach unten", "Left Arrow": "Pfeil nach links", "Right Arrow": "Pfeil nach rechts",
+            "Left Mouse Button": "Linke Maustaste", "Middle Mouse Button": "Mittlere Maustaste", "Right Mouse Button": "Rechte Maustaste",
+            "Scroll Up": "Nach oben scrollen", "Scroll Down": "Nach unten scrollen", "Mouse": "Maus", "Any Key": "Beliebige Taste",
+            "Left Stick": "Linker Stick", "Right Stick": "Rechter Stick", "Left": "links", "Right": "rechts", "Up": "oben", "Down": "unten",
+            "Button": "Taste", "Axis": "Achse", "Num": "Num", "D-pad": "Steuerkreuz"
+        },
+        fr: {
+            "Space": "Espace", "Enter": "Entrée", "Esc": "Échap", "Shift": "Maj", "Ctrl": "Ctrl", "Backspace": "Retour arrière", "Del": "Suppr",
+            "Insert": "Inser", "Home": "Origine", "End": "Fin", "Page Up": "Page préc.", "Page Down": "Page suiv.", "Caps Lock": "Verr. maj.",
+            "Up Arrow": "Flèche haut", "Down Arrow": "Flèche bas", "Left Arrow": "Flèche gauche", "Right Arrow": "Flèche droite",
+            "Left Mouse Button": "Clic gauche", "Middle Mouse Button": "Clic milieu", "Right Mouse Button": "Clic droit",
+            "Scroll Up": "Molette haut", "Scroll Down": "Molette bas", "Mouse": "Souris", "Any Key": "N'importe quelle touche",
+            "Left Stick": "Joystick gauche", "Right Stick": "Joystick droit", "Left": "gauche", "Right": "droite", "Up": "haut", "Down": "bas",
+            "Button": "Bouton", "Axis": "Axe", "Num": "Pavé num.", "D-pad": "Croix directionnelle"
+        },
+        es: {
+            "Space": "Espacio", "Enter": "Intro", "Esc": "Esc", "Shift": "Mayús", "Ctrl": "Ctrl", "Backspace": "Retroceso", "Del": "Supr",
+            "Insert": "Insert", "Home": "Inicio", "End": "Fin", "Page Up": "Re Pág", "Page Down": "Av Pág", "Caps Lock": "Bloq Mayús",
+            "Up Arrow": "Flecha arriba", "Down Arrow": "Flecha abajo", "Left Arrow": "Flecha izquierda", "Right Arrow": "Flecha derecha",
+            "Left Mouse Button": "Botón izquierdo", "Middle Mouse Button": "Botón central", "Right Mouse Button": "Botón derecho",
+            "Scroll Up": "Rueda arriba", "Scroll Down": "Rueda abajo", "Mouse": "Ratón", "Any Key": "Cualquier tecla",
+            "Left Stick": "Stick izquierdo", "Right Stick": "Stick derecho", "Left": "izquierda", "Right": "derecha", "Up": "arriba", "Down": "abajo",
+            "Button": "Botón", "Axis": "Eje", "Num": "Num", "D-pad": "Cruceta"
+        }
+    }
+
+    /**
+     * @summary Register a callback to be executed when an action occurs.
+     * 
+     * Use this method to register a function to an action, to be called when an input
+     * bound to that action happens.  This method can be called several times for one
+     * action, so that an action occuring may cause the execution of many callbacks.
+     * 
+     * If `settings.player` is set to a player number, the callback is only called when the action is
+     * caused by that player's devices.  If `settings.once` is true, the callback is removed after it's
+     * called once, and if `settings.signal` is set to an AbortSignal, the callback is removed when the
+     * signal is aborted.
+     * 
+     * If `settings.interaction` is set to "tap", "hold", "doubleTap" or "multiTap", the callback is only called when
+     * the action is pressed in that way (see #process_interaction()), instead of at its frequency.
+     * 
+     * @param {string} action the action name
+     * @param {action_occurrance} func a callback to call whenever the action occurs
+     * @returns {Object} a subscription, with an `unsubscribe()` method that removes the callback, and a `progress()` method for interactions
+     */
+    on(action, func, settings={})
+    {
+        var callback = {
+            func: func,
+            expiry: settings.once ? 1 : (settings.expiry || 0),
+            frequency: settings.frequency || "default",
+            player: settings.player || null,
+            removed: false,
+            signal: settings.signal || null,
+            on_abort: null,
+            interaction: settings.interaction ? Rebind.#make_interaction(settings) : null
+        }
+
+        var subscription = {
+            action: action,
+            unsubscribe: (() => this.#remove_callback(action, callback)).bind(this),
+            progress: (() => this.#interaction_progress(callback)).bind(this)
+        }
+
+        // callbacks with an aborted signal are never registered
+        if (callback.signal && callback.signal.aborted)
+        {
+            callback.removed = true
+            return subscription
+        }
+
+        if (callback.signal)
+        {
+            callback.on_abort = subscription.unsubscribe
+            callback.signal.addEventListener("abort", callback.on_abort)
+        }
+
+        // if the action function object has no array for an action, create one
+        if (!(action in this.action_functions)) this.action_functions[action] = []
+
+        // add the function to the action function array
+        this.action_functions[action].push(callback)
+
+        return subscription
+    }
+
+    /**
+     * @summary De-register callbacks from an action
+     * 
+     * This is safe to call from inside a callback.  Callbacks that are removed while an action is being
+     * processed aren't called.
+     * 
+     * @param {string} action the action name
+     * @param {action_occurrance} func the callback to remove, or nothing to remove every callback registered to the action
+     */
+    off(action, func)
+    {
+        if (!(action in this.action_functions)) return
+
+        this.action_functions[action]
+            .filter(callback => func === undefined || callback.func === func)
+            .forEach((callback => this.#remove_callback(action, callback)).bind(this))
+    }
+
+    /**
+     * @summary Remove a callback object from action_functions
+     * 
+     * The action's callback array is replaced instead of being changed in place, so that removing a callback
+     * while the array is being iterated over doesn't skip the next callback.
+     * 
+     * @param {string} action the action name
+     * @param {Object} callback the callback object, from action_functions
+     */
+    #remove_callback(action, callback)
+    {
+        if (callback.removed) return
+        callback.removed = true
+
+        if (callback.signal) callback.signal.removeEventListener("abort", callback.on_abort)
+        if (action in this.action_functions) this.action_functions[action] = this.action_functions[action].filter(e => e !== callback)
+    }
+
+    /**
+     * @summary Makes the state of an interaction for a callback (see on())
+     * 
+     * The settings object can have these attributes:
+     *  - `interaction`: "tap", "hold", "doubleTap" or "multiTap"
+     *  - `duration`: the longest press that counts as a tap (200ms by default), or how long to hold for (500ms by default)
+     *  - `window`: the longest time between taps for "doubleTap" and "multiTap" (300ms by default)
+     *  - `count`: the number of taps for "multiTap" (3 by default)
+     * 
+     * @param {Object} settings the settings passed to on()
+     * @returns {Object} the interaction state
+     */
+    static #make_interaction(settings)
+    {
+        var type = settings.interaction
+        if (!["tap", "hold", "doubleTap", "multiTap"].includes(type)) throw new Error(`rebind.js: unknown interaction "${type}"`)
+
+        var count = (type == "doubleTap") ? 2 : (type == "multiTap") ? (settings.count || 3) : 1
+        if (!Number.isInteger(count) || count < 1) throw new Error(`rebind.js: ${count} isn't a number of taps`)
+
+        return {
+            type: type,
+            duration: ("duration" in settings) ? settings.duration : (type == "hold") ? 500 : 200,
+            window: ("window" in settings) ? settings.window : 300,
+            count: count,
+
+            // the inputs that are holding the action down, the time it went down, and the params to call the callback with
+            held: {},
+            down_time: 0,
+            params: null,
+
+            // whether a hold has been performed since the action went down
+            performed: false,
+
+            // the number of taps so far, and when the last one was released
+            taps: 0,
+            tap_time: 0
+        }
+    }
+
+    /**
+     * @summary Updates the interaction of a callback when an input bound to its action is pressed or released
+     * 
+     * The interaction's action is down while any of its inputs are held.  Interactions are performed when:
+     *  - "tap": the action is released, after being down for at most `duration`
+     *  - "hold": the action has been down for `duration` (this is checked by update(), and when the action is released)
+     *  - "doubleTap" and "multiTap": the action is tapped `count` times, with at most `window` between each release and the next press
+     * 
+     * @param {string} action the action name
+     * @param {Object} func the callback object, from action_functions
+     * @param {string} input the name of the input
+     * @param {string} key_action whether the input was "pressed" or "released"
+     * @param {Object} params the params to call the callback with
+     */
+    #process_interaction(action, func, input, key_action, params)
+    {
+        var state = func.interaction
+        var now = this.#now()
+
+        if (key_action == "pressed")
+        {
+            // analog inputs and sticks can be "pressed" many times without being released
+            if (input in state.held) return
+            state.held[input] = true
+            if (Object.keys(state.held).length > 1) return
+
+            // too long since the last tap starts a new set of taps
+            if (state.taps > 0 && now - state.tap_time > state.window) state.taps = 0
+
+            state.down_time = now
+            state.params = params
+            state.performed = false
+            return
+        }
+
+        if (!(input in state.held)) return
+        delete state.held[input]
+        if (Object.keys(state.held).length > 0) return
+
+        var duration = now - state.down_time
+        var performed_params = Object.assign({}, params, { duration: duration })
+
+        if (state.type == "hold")
+        {
+            // update() might not have been called since the hold was long enough
+            if (!state.performed && duration >= state.duration) this.#perform_interaction(action, func, Object.assign({}, state.params, { duration: duration }))
+            return
+        }
+
+        // a press that's too long isn't a tap, and breaks up a set of taps
+        if (duration > state.duration)
+        {
+            state.taps = 0
+            return
+        }
+
+        state.taps += 1
+        state.tap_time = now
+        if (state.taps < state.count) return
+
+        state.taps = 0
+        this.#perform_interaction(action, func, performed_params)
+    }
+
+    /**
+     * @summary Performs the holds that have been held long enough.  This should be called every time update() is called.
+     */
+    #update_interactions()
+    {
+        if (this.playback && this.playback.muted) return
+
+        var now = this.#now()
+        for (const [action, callbacks] of Object.entries(this.action_functions))
+        {
+            callbacks.slice().forEach((func => {
+                var state = func.interaction
+                if (!state || state.type != "hold" || state.performed || Object.keys(state.held).length == 0) return
+
+                var duration = now - state.down_time
+                if (duration >= state.duration) this.#perform_interaction(action, func, Object.assign({}, state.params, { duration: duration }))
+            }).bind(this))
+        }
+    }
+
+    /**
+     * @summary Calls a callback for a performed interaction
+     * @param {string} action the action name
+     * @param {Object} func the callback object, from action_functions
+     * @param {Object} params the params to call the callback with
+     */
+    #perform_interaction(action, func, params)
+    {
+        var state = func.interaction
+        state.performed = true
+        this.#call_callback(action, func, Object.assign(params, {
+            interaction: state.type,
+            taps: state.count,
+            progress: 1
+        }))
+    }
+
+    /**
+     * @summary Get the progress of a callback's interaction, for showing it in a UI (like a ring that fills up while a button is held)
+     * 
+     * For holds, this is how long the action has been down for (as of the last update()) divided by the hold duration.
+     * For double taps and multi taps, this is the number of taps so far divided by the number of taps needed.
+     * 
+     * @param {Object} func the callback object, from action_functions
+     * @returns {number} the progress, from 0 to 1 (always 0 for callbacks without an interaction, and for taps)
+     */
+    #interaction_progress(func)
+    {
+        var state = func.interaction
+        if (!state || func.removed) return 0
+
+        if (state.type == "hold")
+        {
+            if (Object.keys(state.held).length == 0) return 0
+            if (state.performed || state.duration <= 0) return 1
+            return Math.min(1, Math.max(0, (this.update_time - state.down_time) / state.duration))
+        }
+
+        if (state.type == "doubleTap" || state.type == "multiTap")
+        {
+            if (state.taps > 0 && this.#now() - state.tap_time > state.window) return 0
+            return state.taps / state.count
+        }
+
+        return 0
+    }
+
+    /**
+     * @summary Get the player slot for a player number
+     * 
+     * Player slots are used for local multiplayer.  Each connected gamepad is assigned to a player slot
+     * (see configurePlayers()), and bindings and callbacks made through the RebindPlayer only apply to
+     * that player's devices.
+     * 
+     * @param {number} number the player number, starting from 1
+     * @returns {RebindPlayer} the player slot
+     */
+    player(number)
+    {
+        if (!Number.isInteger(number) || number < 1) throw new Error(`rebind.js: ${number} isn't a player number`)
+
+        if (!(number in this.players)) this.players[number] = new RebindPlayer(this, number)
+        return this.players[number]
+    }
+
+    /**
+     * @summary Change how gamepads are assigned to players
+     * 
+     * The settings object can have these attributes:
+     *  - `max_players`: the number of player slots that gamepads can be assigned to (4 by default)
+     *  - `assign`: "connect" to assign gamepads when they connect (the default), or "join" to assign them when one of the `join_inputs` is pressed
+     *  - `join_inputs`: the gamepad buttons that assign a gamepad to a player in "join" mode (`["gp-b9"]` by default, the start button)
+     *  - `keyboard_player`: the number of the player that uses the keyboard, or null if the keyboard doesn't belong to a player (the default)
+     * 
+     * @param {Object} settings the settings to change
+     */
+    configurePlayers(settings={})
+    {
+        Object.assign(this.player_settings, settings)
+
+        if ("keyboard_player" in settings)
+        {
+            Object.values(this.players).forEach(player => player.keyboard = false)
+            if (settings.keyboard_player) this.player(settings.keyboard_player).keyboard = true
+        }
+
+        // assign any unassigned gamepads that are already connected
+        if (this.player_settings.assign == "connect")
+        {
+            Object.values(this.connected_gamepads).forEach((gamepad => this.#assign_gamepad(gamepad)).bind(this))
+        }
+    }
+
+    /**
+     * @summary Get the number of the player that a gamepad is assigned to
+     * @param {number} index the index of the gamepad
+     * @returns {number|null} the player number, or null if the gamepad isn't assigned to a player
+     */
+    playerForGamepad(index)
+    {
+        var player = Object.values(this.players).find(player => player.gamepad === Number(index))
+        return player ? player.number : null
+    }
+
+    /**
+     * @summary Get an input context, creating it if it doesn't exist
+     * 
+     * Input contexts are named sets of bindings, like "gameplay", "menu" or "chat".  Bindings made through the
+     * RebindContext (or with the `context` setting of bind()) belong to that context, and are only active while
+     * the context is on the context stack (see pushContext()) and enabled.  Bindings that aren't made for a
+     * context belong to the "default" context, which is always at the bottom of the stack.
+     * 
+     * The settings object can have these attributes:
+     *  - `enabled`: whether the context's bindings are active while it's on the stack (true by default)
+     *  - `consume`: false (the default) to let inputs reach the contexts below this one, true to stop inputs
+     *    that this context has bindings for from reaching the contexts below it, or "all" to stop every input
+     * 
+     * @param {string} name the name of the context
+     * @param {Object} settings settings to change for the context
+     * @returns {RebindContext} the input context
+     */
+    context(name, settings={})
+    {
+        if (typeof name !== "string" || name === "") throw new Error(`rebind.js: ${name} isn't a context name`)
+
+        if (!(name in this.contexts)) this.contexts[name] = new RebindContext(this, name)
+        var context = this.contexts[name]
+
+        if ("enabled" in settings) context.enabled = !!settings.enabled
+        if ("consume" in settings) context.consume = settings.consume
+        return context
+    }
+
+    /**
+     * @summary Push an input context onto the top of the context stack
+     * 
+     * Contexts higher up the stack get inputs first.  If the context is already on the stack, it's moved to the top.
+     * 
+     * @param {string} name the name of the context
+     * @param {Object} settings settings to change for the context (see context())
+     */
+    pushContext(name, settings={})
+    {
+        this.context(name, settings)
+        if (name == "default") return
+
+        this.context_stack = this.context_stack.filter(e => e !== name)
+        this.context_stack.push(name)
+    }
+
+    /**
+     * @summary Remove an input context from the context stack
+     * 
+     * The "default" context can't be removed from the stack.
+     * 
+     * @param {string} name the name of the context to remove, or nothing to remove the context at the top of the stack
+     * @returns {string|null} the name of the removed context, or null if no context was removed
+     */
+    popContext(name)
+    {
+        if (name === undefined) name = this.context_stack[this.context_stack.length - 1]
+        if (name == "default" || !this.context_stack.includes(name)) return null
+
+        this.context_stack = this.context_stack.filter(e => e !== name)
+        return name
+    }
+
+    /**
+     * @summary Add mappings for gamepads that the browser doesn't give a "standard" mapping
+     * 
+     * Button and axis numbers (like "gp-b1") only mean the same thing on every gamepad when the browser gives the
+     * gamepad a "standard" mapping.  For other gamepads, rebind.js uses these mappings to rearrange the gamepad's
+     * buttons and axes into the standard layout before processing them.
+     * 
+     * Mappings use the format of SDL's [gamecontrollerdb.txt](https://github.com/mdqinc/SDL_GameControllerDB), one
+     * mapping per line.  Gamepads are matched to mappings using the vendor and product ids in the mapping's GUID, or if
+     * the first field isn't a GUID, it's compared with the whole gamepad id.  Later mappings replace earlier mappings
+     * for the same gamepad.  Comments and blank lines are ignored.
+     * 
+     * @param {string} mappings the mappings, in SDL gamecontrollerdb format
+     * @returns {number} the number of mappings added
+     */
+    addGamepadMappings(mappings)
+    {
+        var added = 0
+        mappings.split(/\r?\n/).forEach((line => {
+            line = line.trim()
+            if (line === "" || line.startsWith("#")) return
+
+            var mapping = Rebind.#parse_mapping(line)
+            if (!mapping) return console.warn(`rebind.js: ignoring invalid gamepad mapping "${line}"`)
+
+            this.gamepad_mappings[mapping.key] = mapping
+            added++
+        }).bind(this))
+        return added
+    }
+
+    /**
+     * @summary Get the mapping used to convert a gamepad to the "standard" mapping
+     * @param {number} index the index of the gamepad
+     * @returns {Object|null} the mapping (with the `name` from the mapping database), or null if the gamepad isn't remapped
+     */
+    gamepadMapping(index)
+    {
+        var gamepad = this.#get_gamepads()[index]
+        return gamepad ? this.#mapping_for(gamepad) : null
+    }
+
+    /**
+     * @summary Rumble a gamepad
+     * 
+     * The target can be:
+     *  - a gamepad index
+     *  - a Gamepad, or the params passed to a callback (to rumble the gamepad that caused the action)
+     *  - a RebindPlayer (to rumble the player's gamepad)
+     *  - an action name (to rumble the gamepad that last caused the action)
+     * 
+     * The effect is an object with `strong` and `weak` (the magnitudes of the strong and weak motors, from 0 to 1),
+     * `duration` (in milliseconds, 200 by default) and `delay` (in milliseconds, 0 by default), or the name of one
+     * of the rumble_presets, or an array of effects to play one after another.
+     * 
+     * By default, the effect replaces whatever effect is playing on the gamepad (and any queued effects).  If
+     * `settings.queue` is true, it's played after them instead.
+     * 
+     * @param {number|Object|string} target the gamepad to rumble
+     * @param {Object|Object[]|string} effect the effect
+     * @param {Object} settings pass `{queue: true}` to play the effect after the effects already playing
+     * @returns {Promise<string>} a promise that resolves to "complete" when the effect finishes, "preempted" if it's stopped by another effect or stopRumble(), or "unsupported" if the gamepad doesn't exist or can't rumble
+     */
+    rumble(target, effect, settings={})
+    {
+        var effects = this.#rumble_effects(effect)
+        var index = this.#rumble_target(target)
+        if (index === null || !this.#get_gamepads()[index]) return Promise.resolve("unsupported")
+
+        if (!(index in this.rumble_channels)) this.rumble_channels[index] = { playing: null, queue: [] }
+        var channel = this.rumble_channels[index]
+        if (!settings.queue) this.#cancel_rumble(index)
+
+        // only the promise for the last effect of an array is returned
+        var promises = effects.map(effect => new Promise(resolve => channel.queue.push({ effect: effect, resolve: resolve })))
+        this.#play_rumble(index)
+
+        return promises[promises.length - 1]
+    }
+
+    /**
+     * @summary Stop rumbling a gamepad, and throw away its queued effects
+     * @param {number|Object|string} target the gamepad to stop rumbling (see rumble()), or nothing to stop every gamepad
+     */
+    stopRumble(target)
+    {
+        var indices = (target === undefined) ? Object.keys(this.rumble_channels) : [this.#rumble_target(target)]
+
+        indices.forEach((index => {
+            if (index === null || !(index in this.rumble_channels)) return
+
+            var playing = this.rumble_channels[index].playing
+            this.#cancel_rumble(index)
+
+            var gamepad = this.#get_gamepads()[index]
+            var actuator = gamepad && gamepad.vibrationActuator
+            if (playing && actuator && actuator.reset) Promise.resolve(actuator.reset()).catch(() => {})
+        }).bind(this))
+    }
+
+    /**
+     * @summary Work out which gamepad a rumble() target refers to
+     * @param {number|Object|string} target the target passed to rumble()
+     * @returns {number|null} the gamepad index, or null if the target doesn't have a gamepad
+     */
+    #rumble_target(target)
+    {
+        if (typeof target === "number") return target
+        if (typeof target === "string") return (target in this.action_gamepads) ? this.action_gamepads[target] : null
+        if (target instanceof RebindPlayer) return target.gamepad
+        if (target && typeof target === "object")
+        {
+            // callback params have the gamepad that caused the action (params for axes have an `axes` attribute too)
+            if (target.gamepad) return target.gamepad.index
+            if ("axes" in target && typeof target.index === "number") return target.index
+        }
+        return null
+    }
+
+    /**
+     * @summary Turn the effect passed to rumble() into a list of effects, with the defaults filled in
+     * @param {Object|Object[]|string} effect the effect, preset name, or array of effects
+     * @returns {Object[]} the effects
+     */
+    #rumble_effects(effect)
+    {
+        if (typeof effect === "string")
+        {
+            if (!(effect in this.rumble_presets)) throw new Error(`rebind.js: unknown rumble preset "${effect}"`)
+            effect = this.rumble_presets[effect]
+        }
+
+        const clamp = (value) => Math.min(Math.max(Number(value) || 0, 0), 1)
+        return [].concat(effect).map(effect => ({
+            strong: clamp(effect.strong),
+            weak: clamp(effect.weak),
+            duration: ("duration" in effect) ? effect.duration : 200,
+            delay: effect.delay || 0
+        }))
+    }
+
+    /**
+     * @summary Play the next queued rumble effect on a gamepad, if nothing is playing
+     * @param {number} index the gamepad index
+     */
+    #play_rumble(index)
+    {
+        var channel = this.rumble_channels[index]
+        if (channel.playing || channel.queue.length == 0) return
+
+        var item = channel.queue.shift()
+        channel.playing = item
+
+        this.#play_effect(index, item.effect).then((result => {
+            // the effect was cancelled, and its promise has already been resolved
+            if (channel.playing !== item) return
+
+            channel.playing = null
+            item.resolve(result)
+            this.#play_rumble(index)
+        }).bind(this))
+    }
+
+    /**
+     * @summary Stop tracking the playing and queued rumble effects of a gamepad, and resolve their promises as "preempted"
+     * @param {number} index the gamepad index
+     */
+    #cancel_rumble(index)
+    {
+        var channel = this.rumble_channels[index]
+        if (channel.playing) channel.playing.resolve("preempted")
+        channel.queue.forEach(item => item.resolve("preempted"))
+
+        channel.playing = null
+        channel.queue = []
+    }
+
+    /**
+     * @summary Play one rumble effect on a gamepad
+     * 
+     * This uses the gamepad's vibrationActuator if it has one, or the older hapticActuators if it doesn't.
+     * 
+     * @param {number} index the gamepad index
+     * @param {Object} effect the effect (see #rumble_effects())
+     * @returns {Promise<string>} a promise that resolves to "complete", "preempted" or "unsupported"
+     */
+    #play_effect(index, effect)
+    {
+        var gamepad = this.#get_gamepads()[index]
+        if (!gamepad) return Promise.resolve("unsupported")
+
+        var actuator = gamepad.vibrationActuator
+        if (actuator && actuator.playEffect)
+        {
+            return Promise.resolve(actuator.playEffect("dual-rumble", {
+                startDelay: effect.delay,
+                duration: effect.duration,
+                strongMagnitude: effect.strong,
+                weakMagnitude: effect.weak
+            })).catch(() => "unsupported")
+        }
+
+        var haptics = gamepad.hapticActuators && gamepad.hapticActuators[0]
+        if (haptics && haptics.pulse)
+        {
+            return new Promise(resolve => setTimeout(resolve, effect.delay))
+                .then(() => haptics.pulse(Math.max(effect.strong, effect.weak), effect.duration))
+                .then(() => "complete", () => "unsupported")
+        }
+
+        return Promise.resolve("unsupported")
+    }
+
+    /**
+     * @summary Start recording input
+     * 
+     * Every keyboard, mouse and touch input, every gamepad connection, and the state of every gamepad each time
+     * update() is called are recorded, so that the recording can be played back later with play().  Starting a
+     * new recording throws away the current one.
+     */
+    startRecording()
+    {
+        this.recording = {
+            start: performance.now(),
+            events: [],
+            last_gamepads: null
+        }
+
+        // record the gamepads that are already connected, so that the recording knows about them
+        Array.from(this.#get_gamepads()).forEach((gamepad => {
+            if (gamepad) this.#record("c", 1, gamepad.index, gamepad.id, gamepad.mapping, gamepad.buttons.length, gamepad.axes.length)
+        }).bind(this))
+    }
+
+    /**
+     * @summary Stop recording input
+     * 
+     * The recording is a plain object that can be passed to JSON.stringify(), and later passed to play().
+     * 
+     * @returns {Object|null} the recording, see readme.md for a description of the format, or null if input wasn't being recorded
+     */
+    stopRecording()
+    {
+        if (!this.recording) return null
+
+        var recording = {
+            version: Rebind.recording_version,
+            duration: Math.round((performance.now() - this.recording.start) * 100) / 100,
+            events: this.recording.events
+        }
+
+        this.recording = null
+        return recording
+    }
+
+    /**
+     * @summary Play a recording made by stopRecording()
+     * 
+     * The recorded inputs go through the same processing as live inputs, so actions occur the same way they did
+     * when the recording was made.  The recording is played as update() is called, and each update() that was
+     * recorded is played as one update(), so callbacks are called the same number of times.  While a recording is
+     * being played, live input is ignored.  Any live inputs that are held down are released when playback starts.
+     * 
+     * The settings object can have these attributes:
+     *  - `speed`: how fast to play the recording (1 by default)
+     *  - `loop`: whether to start again from the beginning once the recording ends (false by default)
+     * 
+     * @param {Object|string} recording a recording made by stopRecording(), or a JSON string of one
+     * @param {Object} settings playback settings
+     * @returns {Promise} a promise that resolves when playback ends, or is stopped
+     */
+    play(recording, settings={})
+    {
+        if (typeof recording === "string") recording = JSON.parse(recording)
+        if (typeof recording !== "object" || recording === null || recording.version !== Rebind.recording_version || !Array.isArray(recording.events))
+        {
+            throw new Error("rebind.js: invalid recording")
+        }
+
+        if (this.playback) this.stopPlayback()
+
+        // live inputs are released, since their releases would be ignored during playback
+        this.#release_held_inputs()
+
+        return new Promise(((resolve) => {
+            var now = performance.now()
+            this.playback = {
+                events: recording.events,
+                duration: recording.duration || 0,
+                index: 0,
+                time: 0,
+                speed: settings.speed || 1,
+                loop: !!settings.loop,
+                paused: false,
+                muted: false,
+                last_update: now,
+                start: now,
+                clock: now,
+                gamepads: {},
+                last_gamepads: [],
+                resolve: resolve
+            }
+            this.#reset_input_state()
+        }).bind(this))
+    }
+
+    /**
+     * @summary Pause the recording being played
+     */
+    pausePlayback()
+    {
+        if (this.playback) this.playback.paused = true
+    }
+
+    /**
+     * @summary Carry on playing a paused recording
+     */
+    resumePlayback()
+    {
+        if (this.playback) this.playback.paused = false
+    }
+
+    /**
+     * @summary Change how fast the recording is played
+     * @param {number} speed the playback speed (1 is normal speed, 2 is double speed)
+     */
+    setPlaybackSpeed(speed)
+    {
+        if (this.playback) this.playback.speed = speed
+    }
+
+    /**
+     * @summary Jump to a time in the recording being played
+     * 
+     * The recording is played again from the beginning up to the time, without calling any callbacks, so that
+     * the input state is the same as it would have been.
+     * 
+     * @param {number} time the time to jump to, in milliseconds from the start of the recording
+     */
+    seekPlayback(time)
+    {
+        if (!this.playback) return
+        var playback = this.playback
+
+        this.#release_held_inputs()
+        this.#reset_input_state()
+        playback.index = 0
+        playback.gamepads = {}
+        playback.last_gamepads = []
+
+        playback.muted = true
+        try
+        {
+            this.#play_until(time)
+        }
+        finally
+        {
+            playback.muted = false
+        }
+
+        playback.time = time
+    }
+
+    /**
+     * @summary Stop playing a recording, and go back to live input
+     * 
+     * Any recorded inputs that are held down are released.
+     */
+    stopPlayback()
+    {
+        if (!this.playback) return
+        var playback = this.playback
+
+        this.#release_held_inputs()
+        this.playback = null
+
+        // the gamepads connected during playback were the recorded ones
+        this.connected_gamepads = {}
+        Array.from(this.#get_gamepads()).forEach((gamepad => {
+            if (gamepad) this.connected_gamepads[gamepad.index] = gamepad
+        }).bind(this))
+
+        playback.resolve()
+    }
+
+    /**
+     * @summary Wait for the user to press a key, gamepad button, or move a gamepad stick
+     * 
+     * This is meant for "press any key" prompts in control settings menus.  While rebind.js is waiting for
+     * an input, no actions occur, and the captured input won't cause any actions until it's released.  Only
+     * presses are captured (releases are ignored), and sticks are only captured when they move away from
+     * their rest position.  Only one capture can be pending at once, so starting a new capture cancels the
+     * old one.
+     * 
+     * The returned promise resolves to an object with these attributes:
+     *  - `input`: the input name (like "a", "gp-b0" or "gp-a-left")
+     *  - `input_type`: "key", "key_code", "gamepad_button", "gamepad_axes", "mouse_button", "mouse_wheel", "touch_button" or "touch_axes"
+     *  - `direction`: for sticks, which way the stick was moved ("left", "right", "up" or "down")
+     *  - `settings`: a settings object for bind() (for sticks, this has the conditions for the direction)
+     * 
+     * The promise is rejected if the capture times out, is aborted, or is cancelled by another capture.
+     * 
+     * @param {Object} settings capture settings, see readme.md for a description of each one
+     * @returns {Promise<Object>} a promise that resolves to the captured input
+     */
+    capture(settings={})
+    {
+        // cancel any pending capture
+        if (this.capture_request) this.#end_capture(new Error("rebind.js: capture cancelled by a newer capture"))
+
+        return new Promise(((resolve, reject) => {
+
+            var signal = settings.signal
+            if (signal && signal.aborted)
+            {
+                reject(signal.reason || new Error("rebind.js: capture aborted"))
+                return
+            }
+
+            // only capture the input types that the action allows (see defineAction())
+            var types = settings.types || ["key", "gamepad_button", "gamepad_axes"]
+            var definition = this.action_definitions[settings.action]
+            if (definition && definition.allowed_input_types) types = types.filter(type => definition.allowed_input_types.includes(type))
+
+            var request = this.capture_request = {
+                types: types,
+                exclude: settings.exclude || [],
+                threshold: settings.threshold || 0.5,
+                action: settings.action,
+                replace: settings.replace,
+                resolve: resolve,
+                reject: reject,
+                timer: null,
+                signal: signal,
+                on_abort: null
+            }
+
+            if (settings.timeout) request.timer = setTimeout((() => {
+                this.#end_capture(new Error("rebind.js: capture timed out"))
+            }).bind(this), settings.timeout)
+
+            if (signal)
+            {
+                request.on_abort = (() => {
+                    this.#end_capture(signal.reason || new Error("rebind.js: capture aborted"))
+                }).bind(this)
+                signal.addEventListener("abort", request.on_abort)
+            }
+
+        }).bind(this))
+    }
+
+    /**
+     * @summary Check if an action is held down
+     * 
+     * An action is down if any input bound to it is down (keys and gamepad buttons are held, sticks meet the
+     * binding's conditions, chords are held, and sequences were completed since the last update()).  Like the
+     * other polling methods, this tells you the state of the action as of the last time update() was called.
+     * 
+     * @param {string} action the action name
+     * @returns {boolean} whether the action is down
+     */
+    isDown(action)
+    {
+        return action in this.action_states && this.action_states[action].down
+    }
+
+    /**
+     * @summary Check if an action went down in the last update()
+     * @param {string} action the action name
+     * @returns {boolean} whether the action is down now, but wasn't down the update() before
+     */
+    justPressed(action)
+    {
+        return action in this.action_states && this.action_states[action].down && !this.action_states[action].was_down
+    }
+
+    /**
+     * @summary Check if an action went up in the last update()
+     * @param {string} action the action name
+     * @returns {boolean} whether the action isn't down now, but was down the update() before
+     */
+    justReleased(action)
+    {
+        return action in this.action_states && !this.action_states[action].down && this.action_states[action].was_down
+    }
+
+    /**
+     * @summary Set how long a press of an action is kept for consume()
+     * 
+     * This is input buffering: if the buffer is 100ms, pressing jump up to 100ms before the player lands still
+     * makes them jump when they land, as long as the game checks consume("jump") when they do.
+     * 
+     * @param {string} action the action name
+     * @param {number} duration how long to keep each press for, in milliseconds (0 to only keep it for the update() it happened in)
+     */
+    setBuffer(action, duration)
+    {
+        if (typeof duration !== "number" || duration < 0) throw new Error(`rebind.js: the buffer for action "${action}" must be a number that's at least 0`)
+        this.input_buffers[action] = duration
+    }
+
+    /**
+     * @summary Use up a press of an action
+     * 
+     * Returns true if the action was pressed within its buffer (see setBuffer()) of the last update(), and that
+     * press hasn't been consumed yet.  The press is consumed, so this only returns true once for each press.
+     * 
+     * @param {string} action the action name
+     * @returns {boolean} whether there was a press to consume
+     */
+    consume(action)
+    {
+        var state = this.action_states[action]
+        if (!state || state.press_time === null) return false
+        if (this.update_time - state.press_time > (this.input_buffers[action] || 0)) return false
+
+        state.press_time = null
+        return true
+    }
+
+    /**
+     * @summary Get how long an action has been held down for
+     * @param {string} action the action name
+     * @returns {number} the time in milliseconds between the update() where the action went down and the last update(), or 0 if the action isn't down
+     */
+    heldFor(action)
+    {
+        if (!this.isDown(action)) return 0
+        return this.update_time - this.action_states[action].down_time
+    }
+
+    /**
+     * @summary Get the value of an action
+     * 
+     * Keys, chords and sequences have a value of 1 while they're down.  Gamepad buttons have their analog value,
+     * and axes have their processed value (a number for single axes, or an array of x and y values for sticks
+     * and pairs of axes).  If more than one input bound to the action is down, the value of the one that's
+     * pressed the furthest is used.
+     * 
+     * @param {string} action the action name
+     * @returns {number|number[]} the value, which is 0 (or [0, 0] for actions bound to sticks) if the action isn't down
+     */
+    value(action)
+    {
+        return (action in this.action_states) ? this.action_states[action].value : 0
+    }
+
+    /**
+     * @summary Press or release a touch button
+     * 
+     * This is used by on-screen touch controls (see RebindTouchControls in rebind-touch.js), but can be called by
+     * anything that wants to act like a button.  Touch buttons act like keyboard keys, with the input name "touch-b:<id>".
+     * 
+     * @param {string} id the id of the touch button
+     * @param {boolean} pressed whether the button is pressed
+     * @param {Event} event the event that pressed or released the button, passed to callbacks as params.event
+     */
+    setTouchButton(id, pressed, event=null)
+    {
+        if (this.playback) return
+        this.#record("tb", id, pressed ? 1 : 0)
+        this.#handle_input(() => this.#handle_keydown(event, pressed ? "pressed" : "released", "touch-b:" + id, "touch_button"))
+    }
+
+    /**
+     * @summary Move a touch stick
+     * 
+     * This is used by on-screen touch controls (see RebindTouchControls in rebind-touch.js).  Touch sticks act like
+     * gamepad sticks, with the input name "touch-a:<id>", and are processed when update() is called.
+     * 
+     * @param {string} id the id of the touch stick
+     * @param {number[]} axes the x and y values of the stick, from -1 to 1
+     * @param {Event} event the event that moved the stick, passed to callbacks as params.event
+     */
+    setTouchStick(id, axes, event=null)
+    {
+        if (this.playback) return
+        this.#record("ts", id, axes[0], axes[1])
+        this.#handle_input(() => this.#set_touch_stick(id, axes, event))
+    }
+
+    /**
+     * @summary Set the axes values of a touch stick (see setTouchStick())
+     * @param {string} id the id of the touch stick
+     * @param {number[]} axes the x and y values of the stick
+     * @param {Event} event the event that moved the stick
+     */
+    #set_touch_stick(id, axes, event)
+    {
+        if (!(id in this.touch_sticks)) this.touch_sticks[id] = { axes: [0, 0], last: [0, 0], event: null }
+
+        this.touch_sticks[id].axes = [axes[0], axes[1]]
+        this.touch_sticks[id].event = event
+        if (axes[0] != 0 || axes[1] != 0) this.#set_active_device("touch")
+    }
+
+    /**
+     * @summary Polls the gamepad and handles any "continuous" or "change" keyboard events
+     * 
+     * In queued mode, the inputs that happened since the last update() are handled first, in the order they happened.
+     * If `dt` is passed, the update() is treated as happening `dt` milliseconds after the last one, and only the inputs
+     * that happened before then are handled, so a fixed timestep loop that calls update(dt) several times in one frame
+     * gets each input in the step it happened in.  If the time falls more than 250ms behind (like when the loop skips
+     * steps to catch up), it jumps forward, so that inputs aren't handled late.  `dt` is ignored outside of queued mode.
+     * 
+     * @param {number} dt the time since the last update() in milliseconds, for fixed timestep loops
+     */
+    update(dt)
+    {
+        if (this.destroyed) return
+
+        // while a recording is being played, the recorded gamepads are used instead (see play())
+        if (this.playback) return this.#advance_playback()
+
+        // handle queued inputs
+        if (this.queued || this.input_queue.length > 0)
+        {
+            var now = performance.now()
+            var time = (typeof dt === "number" && this.update_time > 0) ? Math.min(this.update_time + dt, now) : now
+            this.#dispatch_queue(Math.max(time, now - 250))
+        }
+
+        // poll gamepad
+        var gamepads = this.#get_gamepads()
+        this.#record_gamepads(gamepads)
+        this.#update(gamepads)
+        this.clock = null
+    }
+
+    /**
+     * @summary Does the work of update(), using a list of gamepads
+     * @param {Gamepad[]} raw_gamepads the gamepads returned by navigator.getGamepads() (or recorded gamepads during playback)
+     */
+    #update(raw_gamepads)
+    {
+        // gamepads without a "standard" mapping are remapped using the gamepad mapping database
+        var gamepads = Array.from(raw_gamepads).map((gamepad => gamepad && this.#remap_gamepad(gamepad)).bind(this));
+        const num_gamepads = Object.keys(gamepads).length
+
+        for (var g = 0; g < num_gamepads; g++) // for each connected gamepad
+        {
+            const gamepad = gamepads[g];
+
+            // the list returned by navigator.getGamepads() can contain null values.
+            // this checks if the list element is null, or if it's an actual gamepad
+            if (gamepad)
+            {
+                // iterate over each gamepad button
+                var any_pressed = false;
+                for (var i = 0; i < gamepad.buttons.length; i++)
+                {
+                    // determine the input name based on the button id
+                    var btn = gamepad.buttons[i];
+                    var input = "gp-b" + i.toString();
+
+                    // save gamepad button state
+                    if (!(gamepad.index in this.gamepad_button_states)) this.gamepad_button_states[gamepad.index] = {}
+                    if (!(gamepad.index in this.gamepad_button_values)) this.gamepad_button_values[gamepad.index] = {}
+                    this.gamepad_button_states[gamepad.index][i] = btn.pressed
+                    this.gamepad_button_values[gamepad.index][i] = btn.value
+                    
+                    // if the button is pressed, and there is at least one action bound to the input
+                    if (btn.pressed && (input in this.keydown_actions))
+                    {
+                        this.#process_actions(input, "pressed", gamepad, "continuous", [], false, { value: btn.value })
+                    }
+
+                    // handle "any" action
+                    if (btn.pressed)
+                    {
+                        if ("any" in this.keydown_actions) this.#process_actions(input, "pressed", gamepad, "continuous", [], true, { value: btn.value })
+                    }
+
+                    // process analog bindings, which use their own thresholds instead of btn.pressed
+                    if (input in this.keydown_actions)
+                    {
+                        this.keydown_actions[input].forEach((action => {
+                            if (action.analog) this.#process_analog_binding(action, input, gamepad, btn.value)
+                        }).bind(this))
+                    }
+
+                }
+
+                // process gamepad axes
+                if (!(gamepad.index in this.last_gamepad_axes)) this.last_gamepad_axes[gamepad.index] = []
+                var last_axes = this.last_gamepad_axes[gamepad.index]
+
+                this.#axes_inputs(gamepad).forEach((input => {
+
+                    var indices = Rebind.#axes_indices(input)
+                    var axes = indices.map(i => gamepad.axes[i] || 0)
+                    var last = indices.map(i => last_axes[i])
+
+                    // "any" actions are only processed for the control sticks, so they aren't processed more than once for the same axis
+                    this.#process_axes_input(input, axes, last, gamepad, input == "gp-a-left" || input == "gp-a-right")
+
+                }).bind(this))
+
+                // pushing an axis at least halfway makes the gamepad the active device (so that drift doesn't)
+                if (gamepad.axes.some((value, i) => Math.abs(value) >= 0.5 && !(Math.abs(last_axes[i] || 0) >= 0.5))) this.#set_active_device("gamepad", gamepad.index)
+
+                // store the axes values, for detecting changes next time
+                gamepad.axes.forEach((value, i) => last_axes[i] = value)
+            }
+        }
+
+        // detect gamepad button changes
+        for (const [index, gp] of Object.entries(this.gamepad_button_states))
+        {
+            for (const [btn, pressed] of Object.entries(gp))
+            {
+                if (!(index in this.last_gamepad_button_states))
+                {
+                    this.last_gamepad_button_states[index] = {}
+                    this.last_gamepad_button_states[index][btn] = "none"
+                }
+
+                // if the button state has changed since last time update() was run
+                if (this.last_gamepad_button_states[index][btn] != pressed) this.#change_gamepad_button(index, btn, pressed, gamepads[index])
+            }
+        }
+
+        // handle continuous key events
+        for (const [key, state] of Object.entries(this.key_states))
+        {
+            if (state.state == "pressed") this.#process_actions(key, "pressed", state.event, "continuous")
+            if (state.state == "pressed" && state.input_type != "key_code") this.#process_actions(key, "pressed", state.event, "continuous", [], true)
+        }
+
+        // process touch sticks (see setTouchStick())
+        for (const [id, stick] of Object.entries(this.touch_sticks))
+        {
+            this.#process_axes_input("touch-a:" + id, stick.axes, stick.last, stick.event, true)
+            stick.last = stick.axes.slice()
+        }
+
+        // handle continuous mouse movement events
+        // the movement since the last update() is used as the axes values, and the movement stopping counts as a release
+        var mouse = this.mouse_state
+        if (mouse.dx != 0 || mouse.dy != 0)
+        {
+            this.#process_actions("mouse-move", "pressed", mouse.event, "continuous", [mouse.dx, mouse.dy])
+        }
+        else if (mouse.last_dx != 0 || mouse.last_dy != 0)
+        {
+            this.#process_actions("mouse-move", "released", mouse.event, "change", [0, 0])
+            this.#process_actions("mouse-move", "released", mouse.event, "continuous", [0, 0])
+        }
+
+        // handle continuous chord events
+        for (const [chord, state] of Object.entries(this.chord_states))
+        {
+            if (state.state == "pressed") this.#process_actions(chord, "pressed", state.event, "continuous", [], false, state.details)
+        }
+
+        // process composite axes, which are made from the state of keys and buttons after they've been updated
+        this.#update_composites(gamepads)
+
+        // perform holds that have been held long enough
+        this.#update_interactions()
+
+        // store the state of each action, for the polling methods
+        this.#update_action_states()
+    }
+
+    /**
+     * @summary Processes a gamepad button being pressed or released
+     * @param {number|string} index the index of the gamepad
+     * @param {number|string} btn the number of the button
+     * @param {boolean} pressed whether the button is pressed
+     * @param {Gamepad} gamepad the gamepad, passed to callbacks as params.gamepad
+     */
+    #change_gamepad_button(index, btn, pressed, gamepad)
+    {
+        // process the action
+        var input = "gp-b" + btn.toString();
+        if (pressed) this.#set_active_device("gamepad", Number(index))
+        if (pressed && this.capture_request) this.#offer_capture(input, "gamepad_button")
+
+        // "press start to join"
+        if (pressed && this.player_settings.assign == "join" && this.player_settings.join_inputs.includes(input) && gamepad && this.playerForGamepad(index) === null)
+        {
+            if (this.#assign_gamepad(gamepad, true)) this.swallowed_inputs[input] = true
+        }
+        var value = { value: (index in this.gamepad_button_values) ? this.gamepad_button_values[index][btn] : 0 }
+        this.#process_actions(input, pressed ? "pressed" : "released", gamepad, "change", [], false, value)
+        this.#process_actions(input, pressed ? "pressed" : "released", gamepad, "change", [], true, value)
+
+        // if the button is released, process an action as if it were a continuous one
+        // (because the continuous button code doesn't detect button releases)
+        if (!pressed) this.#process_actions(input, "released", gamepad, "continuous", [], false, value)
+
+        // process chords and sequences that the button is part of
+        this.#process_combos(input, pressed ? "pressed" : "released", gamepad)
+        if (!pressed) delete this.swallowed_inputs[input]
+
+        if (!(index in this.last_gamepad_button_states)) this.last_gamepad_button_states[index] = {}
+        this.last_gamepad_button_states[index][btn] = pressed
+    }
+
+    /**
+     * @summary Release every button and stick of a gamepad that is held down, and forget its state
+     * 
+     * This is used when a gamepad disconnects, so that its actions don't stay down.  "released" callbacks are called
+     * like the buttons had been let go of, with the gamepad as it was when it was last seen.
+     * 
+     * @param {number} index the index of the gamepad
+     * @param {Gamepad} gamepad the gamepad
+     */
+    #release_gamepad(index, gamepad)
+    {
+        for (const [btn, pressed] of Object.entries(this.last_gamepad_button_states[index] || {}))
+        {
+            if (pressed !== true) continue
+            this.gamepad_button_states[index][btn] = false
+            if (index in this.gamepad_button_values) this.gamepad_button_values[index][btn] = 0
+            this.#change_gamepad_button(index, btn, false, gamepad)
+        }
+
+        // analog bindings use their own thresholds, so they're released by setting the value to 0
+        for (const [input, actions] of Object.entries(this.keydown_actions))
+        {
+            if (Rebind.#input_type(input) != "gamepad_button") continue
+            actions.forEach((action => {
+                if (!action.analog || !action.analog_states || !action.analog_states[index]) return
+                this.#process_analog_binding(action, input, gamepad, 0)
+                delete action.analog_states[index]
+            }).bind(this))
+        }
+
+        // sticks are released by moving them back to the centre
+        var last_axes = this.last_gamepad_axes[index]
+        if (last_axes)
+        {
+            this.#axes_inputs(gamepad).forEach((input => {
+                var last = Rebind.#axes_indices(input).map(i => last_axes[i] || 0)
+                if (last.some(value => Math.abs(value) > this.release_deadzone)) this.#process_axes_input(input, last.map(() => 0), last, gamepad, input == "gp-a-left" || input == "gp-a-right")
+            }).bind(this))
+        }
+
+        delete this.gamepad_button_states[index]
+        delete this.last_gamepad_button_states[index]
+        delete this.gamepad_button_values[index]
+        delete this.last_gamepad_axes[index]
+
+        if (index in this.rumble_channels)
+        {
+            this.#cancel_rumble(index)
+            delete this.rumble_channels[index]
+        }
+    }
+
+    /**
+     * @summary Processes the actions for an axes input (a gamepad stick or axis, or a touch stick) for one update()
+     * 
+     * "continuous" callbacks are called every time, "change" callbacks are called if the axes values have changed,
+     * and the input is released when the axes values return to within the release deadzone.
+     * 
+     * @param {string} input the axes input name (like "gp-a-left", "gp-a5" or "touch-a:move")
+     * @param {number[]} axes the current axes values
+     * @param {number[]} last the axes values from the last update()
+     * @param {Gamepad|Event} event the Gamepad, or the event that last moved the touch stick
+     * @param {boolean} any whether to process "any" actions for the input
+     */
+    #process_axes_input(input, axes, last, event, any)
+    {
+        this.#process_actions(input, "pressed", event, "continuous", axes)
+
+        if (axes.some((value, i) => value != last[i]))
+        {
+            this.#process_actions(input, "pressed", event, "change", axes)
+            if (any) this.#process_actions(input, "pressed", event, "change", axes, true)
+            if (this.capture_request && !Rebind.#is_composite(input)) this.#capture_axes(input, last, axes)
+
+            if (axes.every(value => value < this.release_deadzone && value > -this.release_deadzone))
+            {
+                this.#process_actions(input, "released", event, "change", axes)
+                this.#process_actions(input, "released", event, "continuous", axes)
+                if (any) this.#process_actions(input, "released", event, "change", axes, true)
+                if (any) this.#process_actions(input, "released", event, "continuous", axes, true)
+                delete this.swallowed_inputs[input]
+            }
+        }
+    }
+
+    /**
+     * @summary Works out the values of composite axes, and processes them like gamepad axes
+     * 
+     * Each device has its own values, so that a composite made of gamepad buttons acts like a gamepad stick for each
+     * gamepad.  Keys, mouse buttons and touch buttons are the "keyboard" device.  This should be called every time
+     * update() is called, after the key and gamepad button states have been updated.
+     * 
+     * @param {Gamepad[]} gamepads the (remapped) gamepads
+     */
+    #update_composites(gamepads)
+    {
+        for (const [input, actions] of Object.entries(this.keydown_actions))
+        {
+            if (actions.length == 0 || actions[0].input_type != "composite_axes") continue
+
+            var parts = Rebind.#composite_parts(input)
+            if (!(input in this.composite_states)) this.composite_states[input] = {}
+            var states = this.composite_states[input]
+
+            // work out how far each part is pressed on each device
+            var devices = {}
+            if (parts.some(part => !part.startsWith("gp-b")))
+            {
+                var event = null
+                var values = parts.map(part => {
+                    if (part.startsWith("gp-b")) return 0
+                    var key = this.key_states[part]
+                    if (!key || key.state != "pressed") return 0
+                    event = key.press_event
+                    return 1
+                })
+                devices["keyboard"] = { values: values, event: event }
+            }
+            if (parts.some(part => part.startsWith("gp-b")))
+            {
+                for (const [index, buttons] of Object.entries(this.gamepad_button_states))
+                {
+                    if (!gamepads[index]) continue
+                    var button_values = this.gamepad_button_values[index] || {}
+                    devices[index] = {
+                        values: parts.map(part => (part.startsWith("gp-b") && buttons[part.substring(4)] === true) ? (button_values[part.substring(4)] || 1) : 0),
+                        event: gamepads[index]
+                    }
+                }
+            }
+
+            // devices that have gone away (like disconnected gamepads) are released, then forgotten
+            for (const device of Object.keys(states))
+            {
+                if (!(device in devices)) devices[device] = { values: parts.map(() => 0), event: null, gone: true }
+            }
+
+            for (const [device, current] of Object.entries(devices))
+            {
+                var state = states[device] || { axes: (parts.length == 2) ? [0] : [0, 0], event: null }
+                var axes = Rebind.#composite_axes(current.values)
+                if (current.event) state.event = current.event
+
+                this.#process_axes_input(input, axes, state.axes, state.event, false)
+
+                state.axes = axes
+                states[device] = state
+                if (current.gone) delete states[device]
+            }
+        }
+    }
+
+    /**
+     * @summary Works out the axes values of a composite from how far each of its parts are pressed
+     * 
+     * Axes (2 parts) are the positive part minus the negative part.  Vectors (4 parts: up, down, left and right)
+     * have x positive to the right and y positive downwards, like gamepad sticks.  Vectors are normalised by
+     * #process_axes() (if the binding's `normalize` setting is true), since bindings to the same input can have
+     * different settings.
+     * 
+     * @param {number[]} values how far each part is pressed, from 0 to 1
+     * @returns {number[]} the axes values
+     */
+    static #composite_axes(values)
+    {
+        if (values.length == 2) return [values[1] - values[0]]
+        return [values[3] - values[2], values[1] - values[0]]
+    }
+
+    /**
+     * @summary Calls each callback registered for a given input
+     * 
+     * This method will check to see if there are any callbacks registered for a given input.  If there is, it will call
+     * them.  When they are called, this method will check that the conditions for the callback to be called are right
+     * (eg: that the control key is pressed for an action the requires it to be pressed).  It also handles callback 
+     * expiry.
+     * 
+     * The context parameter should contain a string that describes how often this method is called from where it is called.
+     * It should be one of:
+     *  - "continuous": called every frame (for example, in the update() method)
+     *  - "change": called when a key or button state changes from pressed to released
+     *  - "repeat": called by a keyboard event listener (hence will be called every key repeat)
+     * 
+     * @param {string} input the name of the input (like "a" or "gp-b4")
+     * @param {string} key_action whether the key / button was "pressed" or "released"
+     * @param {KeyboardEvent|Gamepad} event if the action was caused by a key, this should be the KeyboardEvent that caused it.  if the action was caused by a gamepad, this should be the Gamepad object for the gamepad that caused it
+     * @param {string} context where the method was called from (specifically how often this method is called from the place)
+     * @param {boolean} any whether the call to this method was caused by any key
+     * @param {Object} details extra attributes to add to the callback params
+     */
+    #process_actions(input, key_action, event, context, axes=[], any=false, details={})
+    {
+        var actions = this.keydown_actions[any ? "any" : input];
+        if (actions)
+        {
+            actions.forEach((action => {
+                // analog bindings are processed by #process_analog_binding() instead
+                if (action.analog) return;
+
+                this.#process_binding(action, input, key_action, event, context, axes, details)
+            }).bind(this))
+        }
+    }
+
+    /**
+     * @summary Calls each callback registered for the action of one binding
+     * 
+     * This does the work of #process_actions() for a single binding (one of the objects in keydown_actions).  It's
+     * used directly for bindings that keep their own state, like sequences.
+     * 
+     * @param {Object} action the binding, from keydown_actions
+     * @param {string} input the name of the input (like "a" or "gp-b4")
+     * @param {string} key_action whether the key / button was "pressed" or "released"
+     * @param {KeyboardEvent|Gamepad} event the KeyboardEvent or Gamepad that caused the action
+     * @param {string} context where the method was called from (see #process_actions())
+     * @param {number[]} axes the axes values, if the input is a gamepad stick
+     * @param {Object} details extra attributes to add to the callback params
+     */
+    #process_binding(action, input, key_action, event, context, axes=[], details={})
+    {
+        // don't process actions while capturing an input, or for an input that was just captured
+        if (this.capture_request || input in this.swallowed_inputs) return;
+
+        // bindings only apply while their input context is active, and the input isn't consumed by a higher context
+        if (!this.#context_allows(action, input)) return;
+
+        // bindings for a player only apply to that player's devices
+        var player = this.#player_for_event(event)
+        if (action.player !== null && action.player !== player) return;
+
+        // check the action conditions
+        // (keys are checked against the modifiers that were held when they were pressed, so pressing or releasing a
+        // modifier while a key is held doesn't change which bindings the key belongs to)
+        var key = this.key_states[input]
+        if (!this.#modifiers_met(action, input, key ? key.press_event : event)) return;
+
+        // apply inversion, deadzones and the response curve to axes, and check the axes conditions
+        var has_axes = (action.input_type == "gamepad_axes" || action.input_type == "touch_axes" || action.input_type == "composite_axes" || action.input_type == "mouse_move")
+        var values = []
+        if (action.input_type == "gamepad_axes" || action.input_type == "touch_axes" || action.input_type == "composite_axes") values = this.#process_axes(action, axes)
+        if (action.input_type == "mouse_move") values = this.#process_mouse_move(action, axes)
+        if (has_axes && key_action != "released" && !this.#axes_conditions_met(action, values)) return;
+
+        // mouse buttons and touch buttons act like keys, and mouse movement and touch sticks act like gamepad axes
+        var from_pointer = action.input_type.startsWith("mouse_") || action.input_type.startsWith("touch_")
+        var from_mouse = action.input_type.startsWith("mouse_")
+        var key_like = (action.input_type == "key" || action.input_type == "key_code" || action.input_type == "mouse_button" || action.input_type == "mouse_wheel" || action.input_type == "touch_button")
+
+        // composite axes are caused by whichever device their parts are on
+        var from_gamepad = (action.input_type == "composite_axes") ? !!(event && "axes" in event) : (!key_like && !from_pointer)
+
+        // callbacks aren't called while seeking through a recording (see seekPlayback())
+        if (this.playback && this.playback.muted) return;
+
+        // remember which gamepad caused the action, so that it can be rumbled (see rumble())
+        if (key_action == "pressed" && event && "axes" in event) this.action_gamepads[action.action] = event.index
+
+        // makes the params to call a callback with
+        var make_params = (func) => {
+            var params = {
+                input_name: input,
+                input_type: action.input_type, 
+                key_action: key_action, 
+                event: !from_gamepad ?  event : null, 
+                gamepad: from_gamepad ? event : null,
+                expiry: func.expiry,
+                frequency: func.frequency,
+                player: player
+            }
+
+            if (has_axes)
+            {
+                params.axes = axes;
+                params.value = (values.length == 1) ? values[0] : values;
+            }
+
+            if (from_mouse && event)
+            {
+                params.pointer = {
+                    x: event.clientX,
+                    y: event.clientY,
+                    dx: (action.input_type == "mouse_move") ? axes[0] : (event.movementX || 0),
+                    dy: (action.input_type == "mouse_move") ? axes[1] : (event.movementY || 0),
+                    wheel: event.deltaY || 0,
+                    locked: typeof document !== "undefined" && !!document.pointerLockElement
+                }
+            }
+
+            Object.assign(params, details)
+            return params
+        }
+
+        // if there is a function registered for this action, call it
+        // (a copy of the callback array is iterated over, since callbacks can remove themselves or other callbacks)
+        if (action.action in this.action_functions) this.action_functions[action.action].slice().forEach((func => {
+
+            // skip callbacks that were removed by an earlier callback
+            if (func.removed) return;
+
+            // callbacks for a player are only called for that player's devices
+            if (func.player !== null && func.player !== player) return;
+
+            // callbacks with an interaction are called when the interaction is performed instead of at their frequency
+            if (func.interaction)
+            {
+                if (context == "change") this.#process_interaction(action.action, func, input, key_action, make_params(func))
+                return;
+            }
+
+            // check the action frequency
+            // console.log(action.input_type, func.frequency, context)
+
+            // if the callback context isn't defnied (like "default" or "blah")
+            if (func.frequency != "continuous" && func.frequency != "change" && func.frequency != "repeat")
+            {
+                if (has_axes && context != "continuous") return;
+                if ((action.input_type == "gamepad_button" || action.input_type == "chord" || action.input_type == "sequence") && context != "change") return;
+                if (action.input_type == "any" && context != "change") return;
+                if (key_like && context != "repeat") return; 
+            }
+            else
+            {
+                // if the context is a defined one and it is repeat
+                if (func.frequency == "repeat")
+                {
+                    
+                    // if the action is caused by a gamepad input or a combo, and the context isn't a button state change
+                    if (action.input_type == "gamepad_button" || action.input_type == "any" || action.input_type == "chord" || action.input_type == "sequence") 
+                    {
+                        if (context != "change") return;
+                    }
+
+                    // if the action is caused by a gamepad input (or mouse movement), and the context isn't continuous
+                    else if (has_axes) 
+                    {
+                        if (context != "continuous") return;
+                    }
+
+                    // return if the context isn't the same as the callbacks
+                    else if (func.frequency != context) return;
+
+                }
+
+                // return if the context isn't the same as the callbacks
+                else if (func.frequency != context) return;
+            }
+
+            this.#call_callback(action.action, func, make_params(func))
+
+        }).bind(this));
+    }
+
+    /**
+     * @summary Calls a callback, and handles its expiry
+     * @param {string} action the action name
+     * @param {Object} func the callback object, from action_functions
+     * @param {Object} params the params to call the callback with
+     */
+    #call_callback(action, func, params)
+    {
+        func.func(params)
+
+        // handle callback expiry
+        if (func.expiry > 0)
+        {
+            func.expiry -= 1;
+            if (func.expiry == 0) this.#remove_callback(action, func)
+        }
+    }
+
+    /**
+     * @summary Processes an analog gamepad button binding for one gamepad
+     * 
+     * Analog bindings decide whether the button is pressed using their own thresholds, with hysteresis:
+     * the button is pressed once its value reaches the press threshold, and released once its value drops
+     * to the release threshold.  While the button is pressed, "change" callbacks are called whenever its
+     * value changes.  This should be called every time update() is called.
+     * 
+     * @param {Object} action the analog binding, from keydown_actions
+     * @param {string} input the name of the button input (like "gp-b7")
+     * @param {Gamepad} gamepad the gamepad
+     * @param {number} value the analog value of the button, from 0 to 1
+     */
+    #process_analog_binding(action, input, gamepad, value)
+    {
+        var state = action.analog_states[gamepad.index] || { pressed: false, value: 0 }
+        var pressed = state.pressed ? value > action.release_threshold : value >= action.press_threshold
+        var details = { value: value }
+
+        if (pressed != state.pressed)
+        {
+            this.#process_binding(action, input, pressed ? "pressed" : "released", gamepad, "change", [], details)
+            if (!pressed) this.#process_binding(action, input, "released", gamepad, "continuous", [], details)
+        }
+        else if (pressed && value != state.value)
+        {
+            this.#process_binding(action, input, "pressed", gamepad, "change", [], details)
+        }
+
+        if (pressed) this.#process_binding(action, input, "pressed", gamepad, "continuous", [], details)
+
+        action.analog_states[gamepad.index] = { pressed: pressed, value: value }
+    }
+
+    /**
+     * @summary Updates the chords and sequences that an input is part of, and processes their actions
+     * 
+     * This should be called whenever a key or gamepad button is pressed or released (but not when it repeats),
+     * after the input's state has been stored.
+     * 
+     * Key presses have two names (the key name and the key code), which are processed together, so that a sequence
+     * only sees each key press once.
+     * 
+     * @param {string} input the name of the input that changed (like "a" or "gp-b4")
+     * @param {string} key_action whether the input was "pressed" or "released"
+     * @param {KeyboardEvent|Gamepad} event the KeyboardEvent or Gamepad that caused the change
+     * @param {string|null} twin the other name of the input, for keys with a key code (like "code:KeyA" for "a")
+     */
+    #process_combos(input, key_action, event, twin=null)
+    {
+        for (const [combo, actions] of Object.entries(this.keydown_actions))
+        {
+            if (actions.length == 0) continue
+
+            // chords are processed like any other input, since all actions bound to a chord share its state
+            if (actions[0].input_type == "chord")
+            {
+                var inputs = combo.split("+")
+                if (!inputs.includes(input) && !inputs.includes(twin)) continue
+                var trigger = inputs.includes(input) ? input : twin
+
+                var state = this.chord_states[combo]
+                var pressed = state && state.state == "pressed"
+
+                if (key_action == "pressed" && !pressed && inputs.every(i => this.#input_held(i)))
+                {
+                    var details = this.#combo_details({ type: "chord", inputs: inputs, trigger: trigger }, event)
+                    this.chord_states[combo] = { state: "pressed", event: event, details: details }
+                    this.#process_actions(combo, "pressed", event, "change", [], false, details)
+                }
+                else if (key_action == "released" && pressed)
+                {
+                    var details = this.#combo_details({ type: "chord", inputs: inputs, trigger: trigger }, event)
+                    this.chord_states[combo] = { state: "released", event: event, details: details }
+                    this.#process_actions(combo, "released", event, "change", [], false, details)
+                    this.#process_actions(combo, "released", event, "continuous", [], false, details)
+                }
+            }
+
+            // each sequence binding keeps track of its own progress, since each can have a different window
+            actions.forEach((action => {
+                if (action.input_type == "sequence") this.#advance_sequence(combo, action, input, key_action, event, twin)
+            }).bind(this))
+        }
+    }
+
+    /**
+     * @summary Moves a sequence binding on to its next step, if the input completes the step
+     * 
+     * A step is completed when the input is pressed while every other input in the step is held.  A step can
+     * also be completed by releasing inputs from the previous step, if the step only contains inputs from the
+     * previous step (so that rolling from "ArrowDown+ArrowRight" to "ArrowRight" works).  Pressing an input that
+     * isn't part of the next step starts the sequence again.  Once the last step is completed, the binding's
+     * action occurs.
+     * 
+     * @param {string} sequence the sequence input name
+     * @param {Object} action the sequence binding, from keydown_actions
+     * @param {string} input the name of the input that changed
+     * @param {string} key_action whether the input was "pressed" or "released"
+     * @param {KeyboardEvent|Gamepad} event the KeyboardEvent or Gamepad that caused the change
+     * @param {string|null} twin the other name of the input, for keys with a key code (see #process_combos())
+     */
+    #advance_sequence(sequence, action, input, key_action, event, twin=null)
+    {
+        // use whichever name of the key the sequence is bound to
+        const match = (step) => [input, twin].find(name => name && step.includes(name))
+
+        var now = this.#now()
+        var steps = action.steps
+
+        // start again if the next step took too long
+        if (action.step > 0)
+        {
+            var step_window = Array.isArray(action.window) ? action.window[Math.min(action.step, action.window.length) - 1] : action.window
+            if (now - action.step_time > step_window) action.step = 0
+        }
+
+        var next = steps[action.step]
+        var step_held = next.every(i => this.#input_held(i))
+
+        if (key_action == "pressed")
+        {
+            // wait for the rest of the step's inputs to be pressed
+            if (match(next) && !step_held) return
+
+            if (!match(next))
+            {
+                // the wrong input was pressed, but it might be the start of the sequence
+                action.step = 0
+                next = steps[0]
+                if (!match(next) || !next.every(i => this.#input_held(i))) return
+            }
+            input = match(next)
+        }
+        else
+        {
+            if (action.step == 0 || !step_held) return
+
+            var previous = steps[action.step - 1]
+            if (!match(previous) || !next.every(i => previous.includes(i))) return
+            input = match(previous)
+        }
+
+        action.step++
+        action.step_time = now
+
+        if (action.step == steps.length)
+        {
+            action.step = 0
+
+            // sequences count as down for the next update(), for the polling methods
+            action.completed = true
+
+            var details = this.#combo_details({ type: "sequence", steps: steps, trigger: input }, event)
+            this.#process_binding(action, sequence, "pressed", event, "change", [], details)
+            this.#process_binding(action, sequence, "pressed", event, "continuous", [], details)
+        }
+    }
+
+    /**
+     * @summary Makes the extra callback params for an action caused by a chord or sequence
+     * @param {Object} combo the `combo` param, which describes the chord or sequence and the input that triggered it
+     * @param {KeyboardEvent|Gamepad} event the KeyboardEvent or Gamepad of the triggering input
+     * @returns {Object} params to pass to #process_actions()
+     */
+    #combo_details(combo, event)
+    {
+        var from_gamepad = combo.trigger.startsWith("gp-")
+        return {
+            combo: combo,
+            event: from_gamepad ? null : event,
+            gamepad: from_gamepad ? event : null
+        }
+    }
+
+    /**
+     * @summary Checks if a key or gamepad button is currently held down
+     * @param {string} input the input name (like "a" or "gp-b4").  gamepad buttons count as held if they're held on any gamepad
+     * @returns {boolean} whether the input is held
+     */
+    #input_held(input)
+    {
+        if (input.startsWith("gp-b"))
+        {
+            var button = input.substring(4)
+            return Object.values(this.gamepad_button_states).some(buttons => buttons[button] === true)
+        }
+
+        return input in this.key_states && this.key_states[input].state == "pressed"
+    }
+
+    /**
+     * @summary Works out whether each action is down, and its value, for the polling methods (like isDown())
+     * 
+     * This should be called at the end of update(), after all of the input states have been updated.
+     */
+    #update_action_states()
+    {
+        this.update_time = this.#now()
+
+        // combine the state of each binding for each action
+        var states = {}
+        for (const [input, actions] of Object.entries(this.keydown_actions))
+        {
+            actions.forEach((action => {
+
+                // bindings in inactive input contexts don't count as down
+                if (!this.#context_allows(action, input)) return
+
+                var binding_state = this.#binding_state(action, input)
+                if (!(action.action in states)) states[action.action] = { down: false, value: 0 }
+
+                var state = states[action.action]
+                state.down = state.down || binding_state.down
+
+                // use the value that's the furthest from 0, but prefer arrays so sticks at rest are [0, 0]
+                var magnitude = (value) => Array.isArray(value) ? Math.hypot(...value) : Math.abs(value)
+                if (magnitude(binding_state.value) > magnitude(state.value) || (magnitude(state.value) == 0 && Array.isArray(binding_state.value))) state.value = binding_state.value
+
+            }).bind(this))
+        }
+
+        // compare with the last update()
+        for (const action of new Set([...Object.keys(states), ...Object.keys(this.action_states)]))
+        {
+            var state = states[action] || { down: false, value: 0 }
+            var last = this.action_states[action] || { down: false, down_time: 0, press_time: null }
+
+            this.action_states[action] = {
+                down: state.down,
+                was_down: last.down,
+                down_time: state.down ? (last.down ? last.down_time : this.update_time) : 0,
+                // the time of the last press that hasn't been consumed (see consume())
+                press_time: (state.down && !last.down) ? this.update_time : last.press_time,
+                value: state.value
+            }
+        }
+
+        // taps and completed sequences only last for one update(), and mouse movement is measured from one update() to the next
+        this.tapped_keys = {}
+        this.mouse_state.last_dx = this.mouse_state.dx
+        this.mouse_state.last_dy = this.mouse_state.dy
+        this.mouse_state.dx = 0
+        this.mouse_state.dy = 0
+        Object.values(this.keydown_actions).forEach(actions => actions.forEach(action => {
+            if (action.input_type == "sequence") action.completed = false
+        }))
+    }
+
+    /**
+     * @summary Works out whether a binding is down, and its value
+     * @param {Object} action the binding, from keydown_actions
+     * @param {string} input the input name
+     * @returns {Object} an object with `down` (a boolean) and `value` (a number, or an array for sticks and pairs of axes)
+     */
+    #binding_state(action, input)
+    {
+        var state = { down: false, value: 0 }
+
+        switch (action.input_type)
+        {
+            case "key":
+            case "key_code":
+            case "mouse_button":
+            case "mouse_wheel":
+            case "touch_button":
+                if (action.player !== null && action.player !== this.player_settings.keyboard_player) break
+
+                var key = this.key_states[input]
+                state.down = ((key && key.state == "pressed") || input in this.tapped_keys) && (!key || this.#modifiers_met(action, input, key.press_event))
+                state.value = state.down ? 1 : 0
+                break
+
+            case "any":
+                // "any" bindings are down while any key or button is (key codes are left out, since their key names count)
+                if (action.player === null || action.player === this.player_settings.keyboard_player)
+                {
+                    state.down = Object.entries(this.key_states).some(([key_input, key]) => key.input_type != "key_code"
+                        && (key.state == "pressed" || key_input in this.tapped_keys)
+                        && this.#modifiers_met(action, key_input, key.press_event))
+                }
+                for (const [index, buttons] of Object.entries(this.gamepad_button_states))
+                {
+                    if (action.player !== null && action.player !== this.playerForGamepad(index)) continue
+
+                    // gamepads don't have modifier keys, so bindings that need one aren't met
+                    if (Object.values(buttons).includes(true) && this.#modifiers_met(action, input, null)) state.down = true
+                }
+                state.value = state.down ? 1 : 0
+                break
+
+            case "gamepad_button":
+                var button = input.substring(4)
+                for (const [index, buttons] of Object.entries(this.gamepad_button_states))
+                {
+                    if (action.player !== null && action.player !== this.playerForGamepad(index)) continue
+
+                    // analog bindings have their own pressed state
+                    var pressed = action.analog ? !!(action.analog_states[index] && action.analog_states[index].pressed) : buttons[button] === true
+                    if (!pressed) continue
+
+                    state.down = true
+                    state.value = Math.max(state.value, (index in this.gamepad_button_values) ? this.gamepad_button_values[index][button] : 1)
+                }
+                break
+
+            case "gamepad_axes":
+                if (action.axes.length == 2) state.value = [0, 0]
+                for (const [index, last_axes] of Object.entries(this.last_gamepad_axes))
+                {
+                    if (action.player !== null && action.player !== this.playerForGamepad(index)) continue
+
+                    var values = this.#process_axes(action, action.axes.map(i => last_axes[i] || 0))
+                    if (!this.#axes_conditions_met(action, values)) continue
+
+                    var value = (values.length == 1) ? values[0] : values
+                    if (!state.down || Math.hypot(...values) > Math.hypot(...[].concat(state.value))) state.value = value
+                    state.down = true
+                }
+                break
+
+            case "composite_axes":
+                if (action.axes.length == 2) state.value = [0, 0]
+                for (const [device, composite] of Object.entries(this.composite_states[input] || {}))
+                {
+                    var device_player = (device == "keyboard") ? this.player_settings.keyboard_player : this.playerForGamepad(device)
+                    if (action.player !== null && action.player !== device_player) continue
+
+                    var values = this.#process_axes(action, composite.axes)
+                    if (!this.#axes_conditions_met(action, values)) continue
+
+                    var value = (values.length == 1) ? values[0] : values
+                    if (!state.down || Math.hypot(...values) > Math.hypot(...[].concat(state.value))) state.value = value
+                    state.down = true
+                }
+                break
+
+            case "touch_axes":
+                if (action.player !== null && action.player !== this.player_settings.keyboard_player) break
+
+                var stick = this.touch_sticks[input.substring(8)]
+                state.value = [0, 0]
+                if (!stick) break
+
+                var values = this.#process_axes(action, stick.axes)
+                if (!this.#axes_conditions_met(action, values)) break
+                state.down = true
+                state.value = values
+                break
+
+            case "mouse_move":
+                if (action.player !== null && action.player !== this.player_settings.keyboard_player) break
+
+                // this is called after the movement is added up for the update(), but before it's reset
+                var values = this.#process_mouse_move(action, [this.mouse_state.dx, this.mouse_state.dy])
+                state.value = values
+                state.down = (values[0] != 0 || values[1] != 0) && this.#axes_conditions_met(action, values)
+                if (!state.down) state.value = [0, 0]
+                break
+
+            case "chord":
+                state.down = input in this.chord_states && this.chord_states[input].state == "pressed"
+                state.value = state.down ? 1 : 0
+                break
+
+            case "sequence":
+                state.down = !!action.completed
+                state.value = state.down ? 1 : 0
+                break
+        }
+
+        return state
+    }
+
+    /**
+     * @summary Checks that the modifier keys required by a binding are pressed
+     * 
+     * If the binding has the `exact` setting, the modifiers that aren't required by the binding must not be pressed
+     * either.  When the input is a modifier key itself (like "Shift"), its own modifier is ignored.
+     * 
+     * @param {Object} action the binding, from keydown_actions
+     * @param {string} input the name of the input
+     * @param {KeyboardEvent|Gamepad} event the event that caused the action
+     * @returns {boolean} whether the binding's modifier conditions are met (always true for inputs that aren't keys)
+     */
+    #modifiers_met(action, input, event)
+    {
+        // inputs that are set manually (like touch buttons) might not have an event
+        event = event || {}
+
+        if (action.input_type === "key" || action.input_type == "key_code" || action.input_type == "any" || action.input_type.startsWith("mouse_"))
+        {
+            if (action.ctrl && !event.ctrlKey) return false;
+            if (action.alt && !event.altKey) return false;
+            if (action.shift && !event.shiftKey) return false;
+            if (action.meta && !event.metaKey) return false;
+            if (action.none && (event.ctrlKey || event.altKey || event.shiftKey || event.metaKey)) return false;
+
+            if (action.exact)
+            {
+                // "Control", "code:ControlLeft" and "code:ControlRight" are all the ctrl key
+                var own = { Control: "ctrl", Shift: "shift", Alt: "alt", Meta: "meta", OS: "meta" }[input.replace(/^code:/, "").replace(/(Left|Right)$/, "")]
+
+                for (const modifier of ["ctrl", "shift", "alt", "meta"])
+                {
+                    if (modifier != own && !action[modifier] && event[modifier + "Key"]) return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @summary Checks an axes binding's condition_x and condition_y against processed axes values
+     * @param {Object} action the axes binding, from keydown_actions
+     * @param {number[]} values the processed axes values (see #process_axes())
+     * @returns {boolean} whether the conditions are met
+     */
+    #axes_conditions_met(action, values)
+    {
+        // the processed values are 0 inside the deadzone
+        var conditions = [action.condition_x, action.condition_y]
+        var either_failed = 0;
+        for (var i = 0; i < values.length; i++)
+        {
+            switch(conditions[i])
+            {
+                case "pos":
+                    if (values[i] <= 0) return false;
+                    break;
+
+                case "neg":
+                    if (values[i] >= 0) return false;
+                    break;
+
+                case "any":
+                    if (values[i] == 0) either_failed++;
+                    break;
+
+                case "either":
+                    if (values[i] == 0) return false;
+                    break;
+
+                case "deadzone":
+                    if (values[i] != 0) return false;
+                    break;
+
+                case "none":
+                    // don't care
+                    break;
+            }
+        }
+        return either_failed < values.length;
+    }
+
+    /**
+     * @summary Gets the axes inputs that update() should process for a gamepad
+     * 
+     * This is both control sticks, plus every other axes input that has been bound.  While an input is being
+     * captured, each axis past the first four is included too, so that extra axes (like pedals) can be captured.
+     * 
+     * @param {Gamepad} gamepad the gamepad
+     * @returns {string[]} the axes input names
+     */
+    #axes_inputs(gamepad)
+    {
+        var inputs = ["gp-a-left", "gp-a-right"]
+
+        for (const [input, actions] of Object.entries(this.keydown_actions))
+        {
+            if (!inputs.includes(input) && actions.length > 0 && actions[0].input_type == "gamepad_axes") inputs.push(input)
+        }
+
+        if (this.capture_request)
+        {
+            for (var i = 4; i < gamepad.axes.length; i++)
+            {
+                if (!inputs.includes("gp-a" + i)) inputs.push("gp-a" + i)
+            }
+        }
+
+        return inputs
+    }
+
+    /**
+     * @summary Applies an axes binding's inversion, deadzone, outer deadzone, response curve and saturation to axes values
+     * 
+     * Values inside the deadzone become 0, and values outside it are rescaled so that they start from 0 at the
+     * edge of the deadzone, and reach 1 at the edge of the outer deadzone.  The response curve is applied to the
+     * rescaled value, which is then multiplied by the saturation.
+     * 
+     * @param {Object} action the axes binding, from keydown_actions
+     * @param {number[]} axes the raw axes values (one value, or an x and y value)
+     * @returns {number[]} the processed values
+     */
+    #process_axes(action, axes)
+    {
+        var values = axes.map((value, i) => (i == 0 ? action.invert_x : action.invert_y) ? -value : value)
+
+        // diagonals of composite vectors (like pressing w and d at once) would be longer than a stick can go
+        var length = Math.hypot(...values)
+        if (action.normalize && length > 1) values = values.map(value => value / length)
+        var curve = (typeof action.curve === "function") ? action.curve : Rebind.#curves[action.curve]
+
+        // rescale a magnitude from between the deadzones to between 0 and the saturation
+        const rescale = (magnitude) => {
+            if (magnitude < action.deadzone) return 0
+            var range = 1 - action.outer_deadzone - action.deadzone
+            var scaled = (range > 0) ? Math.min((magnitude - action.deadzone) / range, 1) : 1
+            return curve(scaled) * action.saturation
+        }
+
+        // radial deadzones use the distance of the stick from the centre, axial deadzones treat each axis on its own
+        if (action.deadzone_type == "radial" && values.length == 2)
+        {
+            var magnitude = Math.hypot(values[0], values[1])
+            if (magnitude == 0) return [0, 0]
+            var scale = rescale(magnitude) / magnitude
+            return values.map(value => value * scale)
+        }
+
+        return values.map(value => Math.sign(value) * rescale(Math.abs(value)))
+    }
+
+    /**
+     * @summary Applies a mouse movement binding's inversion and deadzone to mouse movement
+     * @param {Object} action the mouse movement binding, from keydown_actions
+     * @param {number[]} movement the x and y movement, in pixels
+     * @returns {number[]} the processed movement (movement smaller than the deadzone becomes 0)
+     */
+    #process_mouse_move(action, movement)
+    {
+        return movement.map((value, i) => {
+            if (Math.abs(value) <= action.deadzone) return 0
+            return (i == 0 ? action.invert_x : action.invert_y) ? -value : value
+        })
+    }
+
+    /**
+     * @summary Gets the indices of the gamepad axes that an axes input uses
+     * @param {string} input the axes input name, like "gp-a-left", "gp-a-right", "gp-a5" (one axis) or "gp-a4-5" (a pair of axes)
+     * @returns {number[]} the axes indices
+     */
+    static #axes_indices(input)
+    {
+        if (input == "gp-a-left") return [0, 1]
+        if (input == "gp-a-right") return [2, 3]
+
+        var match = /^gp-a(\d+)(?:-(\d+))?$/.exec(input)
+        if (!match) return []
+        return (match[2] === undefined) ? [Number(match[1])] : [Number(match[1]), Number(match[2])]
+    }
+
+    // the default rumble presets (see rumble())
+    static #rumble_presets = {
+        tick: { strong: 0, weak: 0.5, duration: 40 },
+        light: { strong: 0, weak: 0.4, duration: 120 },
+        medium: { strong: 0.5, weak: 0.5, duration: 200 },
+        heavy: { strong: 1, weak: 1, duration: 350 },
+        heartbeat: [
+            { strong: 0.6, weak: 0.2, duration: 80 },
+            { strong: 0.4, weak: 0.1, duration: 80, delay: 120 }
+        ]
+    }
+
+    // response curves for axes bindings, which map a value from 0 to 1 to another value from 0 to 1
+    static #curves = {
+        linear: (value) => value,
+        quadratic: (value) => value * value,
+        cubic: (value) => value * value * value
+    }
+
+    /**
+     * @summary Works out the type of an input from its name
+     * @param {string} input the (normalised) input name
+     * @returns {string} the input type, like "key", "gamepad_button" or "sequence"
+     */
+    static #input_type(input)
+    {
+        if (input === "any") return "any"
+        if (Rebind.#is_composite(input)) return "composite_axes"
+        if (input.includes(" > ")) return "sequence"
+        if (Rebind.#is_chord(input)) return "chord"
+        if (input.startsWith("gp-b")) return "gamepad_button"
+        if (input.startsWith("gp-a")) return "gamepad_axes"
+        if (input.startsWith("mouse-b")) return "mouse_button"
+        if (input.startsWith("mouse-wheel-")) return "mouse_wheel"
+        if (input == "mouse-move") return "mouse_move"
+        if (input.startsWith("touch-b:")) return "touch_button"
+        if (input.startsWith("touch-a:")) return "touch_axes"
+        if (input.startsWith("code:")) return "key_code"
+        return "key"
+    }
+
+    // every input type returned by #input_type()
+    static #input_types = [
+        "key", "key_code", "any", "gamepad_button", "gamepad_axes", "mouse_button", "mouse_wheel", "mouse_move",
+        "touch_button", "touch_axes", "chord", "sequence", "composite_axes"
+    ]
+
+    // the names of keys that aren't a single character (see https://developer.mozilla.org/en-US/docs/Web/API/UI_Events/Keyboard_event_key_values)
+    static #key_names = new Set([
+        "Alt", "AltGraph", "CapsLock", "Control", "Fn", "FnLock", "Hyper", "Meta", "NumLock", "ScrollLock", "Shift", "Super", "Symbol", "SymbolLock",
+        "Enter", "Tab", "ArrowDown", "ArrowLeft", "ArrowRight", "ArrowUp", "End", "Home", "PageDown", "PageUp",
+        "Backspace", "Clear", "Copy", "CrSel", "Cut", "Delete", "EraseEof", "ExSel", "Insert", "Paste", "Redo", "Undo",
+        "Accept", "Again", "Attn", "Cancel", "ContextMenu", "Escape", "Execute", "Find", "Finish", "Help", "Pause", "Play", "Props", "Select", "ZoomIn", "ZoomOut",
+        "BrightnessDown", "BrightnessUp", "Eject", "LogOff", "Power", "PowerOff", "PrintScreen", "Hibernate", "Standby", "WakeUp",
+        "AllCandidates", "Alphanumeric", "CodeInput", "Compose", "Convert", "Dead", "FinalMode", "GroupFirst", "GroupLast", "GroupNext", "GroupPrevious",
+        "ModeChange", "NextCandidate", "NonConvert", "PreviousCandidate", "Process", "SingleCandidate", "HangulMode", "HanjaMode", "JunjaMode", "Eisu",
+        "Hankaku", "Hiragana", "HiraganaKatakana", "KanaMode", "KanjiMode", "Katakana", "Romaji", "Zenkaku", "ZenkakuHankaku",
+        "Soft1", "Soft2", "Soft3", "Soft4", "ChannelDown", "ChannelUp", "Close", "MailForward", "MailReply", "MailSend", "MediaFastForward", "MediaPause",
+        "MediaPlay", "MediaPlayPause", "MediaRecord", "MediaRewind", "MediaStop", "MediaTrackNext", "MediaTrackPrevious", "New", "Open", "Print", "Save",
+        "SpellCheck", "AudioVolumeDown", "AudioVolumeUp", "AudioVolumeMute", "LaunchApplication1", "LaunchApplication2", "LaunchCalculator", "LaunchMail",
+        "LaunchMediaPlayer", "LaunchWebBrowser", "BrowserBack", "BrowserFavorites", "BrowserForward", "BrowserHome", "BrowserRefresh", "BrowserSearch",
+        "BrowserStop", "Unidentified",
+        ...Array.from({ length: 24 }, (e, i) => "F" + (i + 1))
+    ])
+
+    // the names of physical keys that don't follow a pattern (see https://developer.mozilla.org/en-US/docs/Web/API/UI_Events/Keyboard_event_code_values)
+    static #key_codes = new Set([
+        "Backquote", "Backslash", "BracketLeft", "BracketRight", "Comma", "Equal", "IntlBackslash", "IntlRo", "IntlYen", "Minus", "Period", "Quote",
+        "Semicolon", "Slash", "AltLeft", "AltRight", "CapsLock", "ContextMenu", "ControlLeft", "ControlRight", "Enter", "MetaLeft", "MetaRight",
+        "ShiftLeft", "ShiftRight", "Space", "Tab", "Backspace", "Delete", "End", "Help", "Home", "Insert", "PageDown", "PageUp", "ArrowDown",
+        "ArrowLeft", "ArrowRight", "ArrowUp", "NumLock", "Escape", "PrintScreen", "ScrollLock", "Pause", "Fn", "FnLock", "Convert", "NonConvert",
+        "KanaMode", "Lang1", "Lang2", "Lang3", "Lang4", "Lang5", "AudioVolumeMute", "AudioVolumeUp", "AudioVolumeDown", "MediaPlayPause",
+        "MediaStop", "MediaTrackNext", "MediaTrackPrevious", "MediaSelect", "LaunchApp1", "LaunchApp2", "LaunchMail", "BrowserBack",
+        "BrowserFavorites", "BrowserForward", "BrowserHome", "BrowserRefresh", "BrowserSearch", "BrowserStop", "Eject", "Power", "Sleep", "WakeUp"
+    ])
+
+    /**
+     * @summary Checks that an input name is one that rebind.js knows about
+     * 
+     * Keys have to be a single character or a standard key name, physical keys have to be a standard key code, and
+     * gamepad buttons have to be one of the 17 buttons of the "standard" mapping.  Each part of chords, sequences and
+     * composite axes is checked too.
+     * 
+     * @param {string} input the (normalised) input name
+     * @returns {string|null} a message describing the problem, or null if there isn't one
+     */
+    static #input_problem(input)
+    {
+        // suggest the right spelling of key names that are in the wrong case (like "arrowleft")
+        const suggest = (names, name) => {
+            var match = [...names].find(e => e.toLowerCase() == name.toLowerCase())
+            return match ? ` (did you mean "${match}"?)` : ""
+        }
+
+        var parts = null
+        switch (Rebind.#input_type(input))
+        {
+            case "any":
+            case "mouse_move":
+                return null
+
+            case "sequence":
+                parts = input.split(" > ").flatMap(step => Rebind.#is_chord(step) ? step.split("+") : [step])
+                break
+
+            case "chord":
+                parts = input.split("+")
+                break
+
+            case "composite_axes":
+                parts = Rebind.#composite_parts(input)
+                if (!parts) return `"${input}" doesn't have the right number of inputs`
+                var axes = parts.find(part => ["gamepad_axes", "touch_axes", "mouse_move", "mouse_wheel"].includes(Rebind.#input_type(part)))
+                if (axes) return `"${axes}" in "${input}" isn't a key or a button`
+                break
+
+            case "gamepad_button":
+                var match = /^gp-b(\d+)$/.exec(input)
+                if (!match || Number(match[1]) > 16) return `unknown gamepad button "${input}" (gamepad buttons are "gp-b0" to "gp-b16")`
+                return null
+
+            case "gamepad_axes":
+                return (Rebind.#axes_indices(input).length == 0) ? `unknown gamepad axes "${input}"` : null
+
+            case "mouse_button":
+                return /^mouse-b[0-4]$/.test(input) ? null : `unknown mouse button "${input}" (mouse buttons are "mouse-b0" to "mouse-b4")`
+
+            case "mouse_wheel":
+                return (input == "mouse-wheel-up" || input == "mouse-wheel-down") ? null : `unknown mouse wheel input "${input}"`
+
+            case "touch_button":
+            case "touch_axes":
+                return (input.length > 8) ? null : `"${input}" doesn't have a touch control id`
+
+            case "key_code":
+                var code = input.substring(5)
+                if (Rebind.#key_codes.has(code) || /^(Key[A-Z]|Digit[0-9]|F([1-9]|1[0-9]|2[0-4])|Numpad([0-9]|Add|Subtract|Multiply|Divide|Decimal|Enter|Equal|Comma))$/.test(code)) return null
+                return `unknown key code "${input}"${suggest(Rebind.#key_codes, code)}`
+
+            case "key":
+                if ([...input].length == 1 || Rebind.#key_names.has(input)) return null
+                return `unknown key "${input}"${suggest(Rebind.#key_names, input)}`
+        }
+
+        for (const part of parts)
+        {
+            if (part === "any" || Rebind.#input_type(part) == "sequence") return `"${part}" can't be part of "${input}"`
+            var problem = Rebind.#input_problem(part)
+            if (problem) return `${problem} in "${input}"`
+        }
+        return null
+    }
+
+    /**
+     * @summary Checks if an input name is a composite axes input (like "axis:a,d" or "vector:w,s,a,d")
+     * @param {string} input the input name
+     * @returns {boolean} whether the input name is a composite
+     */
+    static #is_composite(input)
+    {
+        return input.startsWith("axis:") || input.startsWith("vector:")
+    }
+
+    /**
+     * @summary Gets the inputs that a composite axes input is made from
+     * @param {string} input the composite input name, like "axis:a,d" (negative and positive) or "vector:w,s,a,d" (up, down, left and right)
+     * @returns {string[]|null} the inputs, or null if the input isn't a composite or has the wrong number of inputs
+     */
+    static #composite_parts(input)
+    {
+        if (!Rebind.#is_composite(input)) return null
+
+        var parts = input.substring(input.indexOf(":") + 1).split(",")
+        if (parts.length != (input.startsWith("axis:") ? 2 : 4) || parts.some(part => part === "")) return null
+        return parts
+    }
+
+    /**
+     * @summary Checks if an input name is a chord (like "q+e" or "gp-b4+gp-b5")
+     * @param {string} input the input name
+     * @returns {boolean} whether the input name is a chord
+     */
+    static #is_chord(input)
+    {
+        // "+" on its own is the plus key
+        return input.length > 1 && input.includes("+") && input.split("+").every(i => i.length > 0)
+    }
+
+    /**
+     * @summary Replace old key names in an input name with the standard key names (like "Left" with "ArrowLeft")
+     * 
+     * Semantic gamepad button names (like "gp-south") are replaced with button numbers (like "gp-b0") too.  Each key
+     * in chords, sequences and composite axes is normalised.
+     * 
+     * @param {string} input the input name
+     * @returns {string} the normalised input name
+     */
+    static #normalize_input(input)
+    {
+        const normalize = (key) => {
+            if (Object.hasOwn(Rebind.#key_aliases, key)) return Rebind.#key_aliases[key]
+            if (Object.hasOwn(Rebind.#gamepad_aliases, key)) return Rebind.#gamepad_aliases[key]
+            return key
+        }
+
+        if (Rebind.#is_composite(input))
+        {
+            var type = input.substring(0, input.indexOf(":") + 1)
+            return type + input.substring(type.length).split(",").map(normalize).join(",")
+        }
+
+        return input.split(" > ").map(step => {
+            return Rebind.#is_chord(step) ? step.split("+").map(normalize).join("+") : normalize(step)
+        }).join(" > ")
+    }
+
+    /**
+     * @summary Parse one line of an SDL gamecontrollerdb mapping
+     * 
+     * Each button and axis of the "standard" mapping is mapped to an element of the gamepad, which is an object
+     * with a `type` ("b" for a button, "a" for an axis or "h" for a hat switch), an `index`, and for axes, the
+     * `half` of the axis that is used ("+", "-" or "" for the whole axis) and whether it's inverted.  Hat switches
+     * have a `mask` for the direction (1 is up, 2 is right, 4 is down and 8 is left).
+     * 
+     * @param {string} line the mapping, like "GUID,name,a:b0,b:b1,..."
+     * @returns {Object|null} the parsed mapping, or null if the line isn't a valid mapping
+     */
+    static #parse_mapping(line)
+    {
+        var fields = line.split(",")
+        if (fields.length < 3 || fields[0] === "") return null
+
+        // the vendor and product ids are stored in the GUID as little endian 16 bit numbers
+        var guid = fields[0].toLowerCase()
+        var swap = (hex) => hex.substring(2, 4) + hex.substring(0, 2)
+        var key = /^[0-9a-f]{32}$/.test(guid) ? swap(guid.substring(8, 12)) + ":" + swap(guid.substring(16, 20)) : fields[0]
+
+        var mapping = { key: key, name: fields[1], buttons: {}, axes: {} }
+        for (const field of fields.slice(2))
+        {
+            var match = field.match(/^[+-]?(\w+):([+-]?)([abh])(\d+)(?:\.(\d+))?(~?)$/)
+            if (!match) continue
+
+            var [, target, half, type, index, mask, invert] = match
+            var element = { type: type, index: Number(index), half: half, invert: invert == "~", mask: Number(mask || 0) }
+
+            if (target in Rebind.#sdl_buttons) mapping.buttons[Rebind.#sdl_buttons[target]] = element
+            else if (target in Rebind.#sdl_axes) mapping.axes[Rebind.#sdl_axes[target]] = element
+        }
+
+        if (Object.keys(mapping.buttons).length == 0 && Object.keys(mapping.axes).length == 0) return null
+        return mapping
+    }
+
+    /**
+     * @summary Find the mapping for a gamepad in the gamepad mapping database
+     * 
+     * Gamepads are identified by the vendor and product ids in their id.  Chrome ids look like
+     * "USB Gamepad (Vendor: 0079 Product: 0011)", and Firefox ids look like "79-11-USB Gamepad".
+     * 
+     * @param {Gamepad} gamepad the gamepad
+     * @returns {Object|null} the mapping, or null if the gamepad has a "standard" mapping or isn't in the database
+     */
+    #mapping_for(gamepad)
+    {
+        if (gamepad.mapping === "standard") return null
+        if (gamepad.id in this.gamepad_mappings) return this.gamepad_mappings[gamepad.id]
+
+        var match = gamepad.id.match(/Vendor: ([0-9a-f]{1,4}) Product: ([0-9a-f]{1,4})/i) || gamepad.id.match(/^([0-9a-f]{1,4})-([0-9a-f]{1,4})-/i)
+        if (!match) return null
+
+        var key = match[1].toLowerCase().padStart(4, "0") + ":" + match[2].toLowerCase().padStart(4, "0")
+        return this.gamepad_mappings[key] || null
+    }
+
+    /**
+     * @summary Rearrange a gamepad's buttons and axes into the "standard" mapping, using the gamepad mapping database
+     * 
+     * The returned object looks like a Gamepad with a "standard" mapping, with 17 buttons and 4 axes.  The original
+     * Gamepad is stored as its `raw` attribute.  Gamepads that already have a "standard" mapping, or aren't in the
+     * database, are returned as they are.
+     * 
+     * @param {Gamepad} gamepad the gamepad to remap
+     * @returns {Gamepad|Object} the remapped gamepad
+     */
+    #remap_gamepad(gamepad)
+    {
+        var mapping = this.#mapping_for(gamepad)
+        if (!mapping) return gamepad
+
+        // get the value of an element of the gamepad, from 0 to 1 for buttons, or -1 to 1 for axes
+        const read = (element, as_axis) => {
+            if (!element) return 0
+
+            switch (element.type)
+            {
+                case "b":
+                    var button = gamepad.buttons[element.index]
+                    return button ? button.value : 0
+
+                case "a":
+                    var value = gamepad.axes[element.index] || 0
+                    if (element.invert) value = -value
+                    if (element.half == "+") return Math.max(value, 0)
+                    if (element.half == "-") return Math.max(-value, 0)
+
+                    // whole axes used as buttons (like triggers) go from -1 when released to 1 when pressed
+                    return as_axis ? value : (value + 1) / 2
+
+                case "h":
+                    // browsers report hat switches as an axis at the end of the axes, where -1 is up, and each of the 8
+                    // directions clockwise from up is 2/7 more.  values outside -1 to 1 mean the hat is centred
+                    var hat = gamepad.axes[gamepad.axes.length - 1 - element.index]
+                    if (hat === undefined || hat < -1.01 || hat > 1.01) return 0
+
+                    var direction = Math.round((hat + 1) * 7 / 2)
+                    return ([1, 3, 2, 6, 4, 12, 8, 9][direction] & element.mask) ? 1 : 0
+            }
+            return 0
+        }
+
+        var buttons = []
+        for (var i = 0; i <= 16; i++)
+        {
+            var value = read(mapping.buttons[i], false)
+            buttons.push({ pressed: value > 0.5, touched: value > 0, value: value })
+        }
+
+        return {
+            id: gamepad.id,
+            index: gamepad.index,
+            connected: gamepad.connected,
+            timestamp: gamepad.timestamp,
+            mapping: "standard",
+            buttons: buttons,
+            axes: [0, 1, 2, 3].map(i => read(mapping.axes[i], true)),
+            vibrationActuator: gamepad.vibrationActuator,
+            raw: gamepad
+        }
+    }
+
+    /**
+     * @summary Find the player that caused an event
+     * @param {KeyboardEvent|Gamepad} event the KeyboardEvent or Gamepad that caused an action
+     * @returns {number|null} the player number, or null if the event's device doesn't belong to a player
+     */
+    #player_for_event(event)
+    {
+        if (!event) return null
+        if ("axes" in event) return this.playerForGamepad(event.index)
+        return this.player_settings.keyboard_player || null
+    }
+
+    /**
+     * @summary Checks whether a binding's input context gets an input
+     * 
+     * This goes down the context stack from the top.  The binding's context gets the input if it's enabled, and
+     * none of the enabled contexts above it consume the input.
+     * 
+     * @param {Object} action the binding, from keydown_actions
+     * @param {string} input the name of the input (for "any" bindings, this is the input that was actually pressed)
+     * @returns {boolean} whether the binding should be processed
+     */
+    #context_allows(action, input)
+    {
+        for (var i = this.context_stack.length - 1; i >= 0; i--)
+        {
+            var context = this.contexts[this.context_stack[i]]
+            if (!context.enabled) continue
+            if (context.name === action.context) return true
+
+            // contexts with "any" bindings handle every input
+            const in_context = (binding) => binding.context === context.name
+            var handles = (this.keydown_actions[input] || []).some(in_context) || (this.keydown_actions["any"] || []).some(in_context)
+
+            if (context.consume === "all" || (context.consume && handles)) return false
+        }
+        return false
+    }
+
+    /**
+     * @summary Assign a gamepad to a player slot, if it isn't assigned to one already
+     * 
+     * Gamepads go back to the slot they were in before they disconnected, if that slot is still free.
+     * Otherwise, they're assigned to the lowest numbered slot that doesn't have a gamepad, skipping the
+     * keyboard player's slot.  Reconnecting gamepads are put back in their old slot even in "join" mode.
+     * 
+     * @param {Gamepad} gamepad the gamepad to assign
+     * @param {boolean} joining whether the gamepad is joining (so it can be assigned to a new slot in "join" mode)
+     * @returns {boolean} whether the gamepad was assigned
+     */
+    #assign_gamepad(gamepad, joining=false)
+    {
+        if (this.playerForGamepad(gamepad.index) !== null) return false
+
+        var free = []
+        for (var number = 1; number <= this.player_settings.max_players; number++)
+        {
+            var player = this.players[number]
+            if (!player || (player.gamepad === null && !player.keyboard)) free.push(number)
+        }
+
+        // a reconnecting gamepad goes back to its old slot (matching the index as well as the id if possible,
+        // since identical gamepads have the same id)
+        var number = free.find(n => this.players[n] && this.players[n].gamepad_id === gamepad.id && this.players[n].last_gamepad === gamepad.index)
+        if (number === undefined) number = free.find(n => this.players[n] && this.players[n].gamepad_id === gamepad.id)
+
+        // new gamepads are only assigned when they connect in "connect" mode, or when they join in "join" mode
+        if (number === undefined)
+        {
+            if (!joining && this.player_settings.assign != "connect") return false
+
+            // prefer slots that haven't had a gamepad yet, so a player whose gamepad disconnected can get their slot back
+            number = free.find(n => !this.players[n] || this.players[n].gamepad_id === null)
+            if (number === undefined) number = free[0]
+            if (number === undefined) return false
+        }
+
+        this.player(number).assign(gamepad.index)
+        return true
+    }
+
+    /**
+     * @summary Give an input to the pending capture() request
+     * 
+     * If the capture request accepts the input, the request's promise is resolved, and the input is
+     * bound to the request's action (if it has one).
+     * 
+     * @param {string} input the name of the input
+     * @param {string} input_type the type of the input ("key", "gamepad_button", "gamepad_axes", "mouse_button" or "mouse_wheel")
+     * @param {Object} details extra attributes for the capture result (like the direction of a stick)
+     * @returns {boolean} whether the input was captured
+     */
+    #offer_capture(input, input_type, details={})
+    {
+        var request = this.capture_request
+        if (!request) return false
+
+        // inputs that the request doesn't accept are still swallowed, so releasing them later doesn't cause any actions
+        this.swallowed_inputs[input] = true
+        if (!request.types.includes(input_type) || request.exclude.includes(input)) return false
+
+        var result = Object.assign({
+            input: input,
+            input_type: input_type,
+            settings: {}
+        }, details)
+
+        this.#end_capture()
+
+        // apply the captured input to an action.  if that would break the action's rules (see defineAction()), the
+        // capture is rejected instead
+        if (request.action)
+        {
+            try
+            {
+                if (request.replace === true) this.clear(request.action)
+                else if (request.replace) this.remove(request.action, [].concat(request.replace))
+                this.bind(request.action, [input], result.settings)
+            }
+            catch (error)
+            {
+                request.reject(error)
+                return true
+            }
+        }
+
+        request.resolve(result)
+        return true
+    }
+
+    /**
+     * @summary Check if a gamepad stick or axis was moved away from rest, and if so, give it to the pending capture() request
+     * @param {string} input the name of the axes input (like "gp-a-left" or "gp-a5")
+     * @param {number[]} last_axes the previous values of the axes
+     * @param {number[]} axes the current values of the axes
+     */
+    #capture_axes(input, last_axes, axes)
+    {
+        var threshold = this.capture_request.threshold
+
+        // only capture axes when they cross the threshold, so an axis that was already held doesn't get captured
+        if (last_axes.some(value => Math.abs(value || 0) >= threshold)) return
+        if (axes.every(value => Math.abs(value) < threshold)) return
+
+        var input_type = input.startsWith("touch-") ? "touch_axes" : "gamepad_axes"
+
+        // single axes are captured as positive or negative
+        if (axes.length == 1)
+        {
+            this.#offer_capture(input, input_type, {
+                direction: axes[0] < 0 ? "negative" : "positive",
+                settings: { condition_x: axes[0] < 0 ? "neg" : "pos" }
+            })
+        }
+
+        // for pairs of axes, use whichever axis moved the furthest
+        else if (Math.abs(axes[0]) >= Math.abs(axes[1]))
+        {
+            this.#offer_capture(input, input_type, {
+                direction: axes[0] < 0 ? "left" : "right",
+                settings: { condition_x: axes[0] < 0 ? "neg" : "pos", condition_y: "none" }
+            })
+        }
+        else
+        {
+            this.#offer_capture(input, input_type, {
+                direction: axes[1] < 0 ? "up" : "down",
+                settings: { condition_x: "none", condition_y: axes[1] < 0 ? "neg" : "pos" }
+            })
+        }
+    }
+
+    /**
+     * @summary Stop the pending capture() request
+     * @param {Error} error if set, the request's promise is rejected with this error
+     */
+    #end_capture(error)
+    {
+        var request = this.capture_request
+        if (!request) return
+
+        this.capture_request = null
+        if (request.timer) clearTimeout(request.timer)
+        if (request.on_abort) request.signal.removeEventListener("abort", request.on_abort)
+        if (error) request.reject(error)
+    }
+
+    /**
+     * @summary an internal function used to process keyboard events
+     * 
+     * Each key event is processed twice: once for the key name (like "w"), and once for the physical key code (like
+     * "code:KeyW").  The key name is remembered while the key is held, so that if shift is pressed or released while
+     * a key is held (which changes event.key, like "a" to "A"), the key is still released under the name it was
+     * pressed with.
+     * 
+     * @param {KeyboardEvent} event the event passed to the keydown / keyup callback
+     * @param {string} key_action whether the key was "pressed" or "released"
+     */
+    #handle_key_event(event, key_action)
+    {
+        var key = Rebind.#normalize_input(event.key)
+
+        if (event.code)
+        {
+            if (key_action == "pressed" && !(event.code in this.held_keys)) this.held_keys[event.code] = key
+            if (event.code in this.held_keys) key = this.held_keys[event.code]
+            if (key_action == "released") delete this.held_keys[event.code]
+        }
+
+        // chords and sequences are processed once for both names, after both states have been stored
+        var changed = !(key in this.key_states) || this.key_states[key].state != key_action
+        var capturing = !!this.capture_request
+
+        this.#handle_keydown(event, key_action, key, "key", false)
+
+        // if the key name was captured, the key code is swallowed too, so it doesn't cause actions either
+        if (capturing && !this.capture_request && event.code && key_action == "pressed") this.swallowed_inputs["code:" + event.code] = true
+        if (event.code) this.#handle_keydown(event, key_action, "code:" + event.code, "key_code", false)
+        if (changed) this.#process_combos(key, key_action, event, event.code ? "code:" + event.code : null)
+    }
+
+    /**
+     * @summary an internal function used to process keyevents
+     * 
+     * Mouse buttons and the mouse wheel are processed by this method too, since they act like keys.
+     * 
+     * @param {KeyboardEvent|MouseEvent} event the event passed to the keydown / keyup callback
+     * @param {string} key_action the name of the event (ie: "keydown" or "keyup")
+     * @param {string} input the input name (event.key for keyboard events)
+     * @param {string} input_type the type of the input ("key", "key_code", "mouse_button", "mouse_wheel" or "touch_button")
+     * @param {boolean} combos whether to process chords and sequences (#handle_key_event() processes them itself)
+     * @private
+     */
+    #handle_keydown(event, key_action, input=event.key, input_type="key", combos=true)
+    {
+        // handle key state change
+        if (!(input in this.key_states)) this.key_states[input] = {
+            state: "none",
+            event: event,
+            press_event: event,
+            input_type: input_type
+        }
+
+        // key codes aren't processed for "any" bindings, since the key name already was
+        var any = (input_type != "key_code")
+
+        var changed = this.key_states[input].state != key_action
+        if (changed && key_action == "pressed") this.key_states[input].press_event = event
+
+        if (changed)
+        {
+            if (key_action == "pressed") this.#set_active_device(input_type == "touch_button" ? "touch" : "keyboard")
+
+            // offer new key presses to a pending capture
+            if (key_action == "pressed" && this.capture_request) this.#offer_capture(input, input_type)
+
+            // process change callbacks
+            this.#process_actions(input, key_action, event, "change")
+            if (any) this.#process_actions(input, key_action, event, "change", [], true)
+
+            // if the key was released, process continuous callbacks
+            // (the code for polling key states for continuous callbacks can't see key releases)
+            if (key_action == "released")
+            {
+                this.#process_actions(input, key_action, event, "continuous")
+                if (any) this.#process_actions(input, key_action, event, "continuous", [], true)
+            }
+        }
+
+        // store the key state
+        this.key_states[input].state = key_action
+        this.key_states[input].event = event
+        this.key_states[input].input_type = input_type
+
+        // process chords and sequences that the key is part of
+        if (changed && combos) this.#process_combos(input, key_action, event)
+
+        // remember that the key was pressed, in case it's released before the next update()
+        if (changed && key_action == "pressed") this.tapped_keys[input] = true
+
+        // if the key name (input) has an action bound to it
+        if (input in this.keydown_actions) this.#process_actions(input, key_action, event, "repeat")
+
+        // handle 'any' key
+        if (any && "any" in this.keydown_actions) this.#process_actions(input, key_action, event, "repeat", [], true)
+
+        // once a captured key is released, it can cause actions again
+        if (key_action == "released") delete this.swallowed_inputs[input]
+    }
+
+    /**
+     * @summary Release every key, mouse button and touch button that is held down
+     * 
+     * This is used when the page loses focus, since the key releases would be missed otherwise.  Each input is released
+     * with the event that pressed it, so that bindings with modifiers are released too.
+     */
+    #release_held_inputs()
+    {
+        this.held_keys = {}
+        for (const [input, key] of Object.entries(this.key_states))
+        {
+            if (key.state == "pressed") this.#handle_keydown(key.press_event, "released", input, key.input_type)
+        }
+    }
+
+    /**
+     * @summary an internal function used to process mouse wheel events
+     * 
+     * The wheel doesn't have a held state, so each wheel event is a press followed by a release of "mouse-wheel-up"
+     * or "mouse-wheel-down".
+     * 
+     * @param {WheelEvent} event the event passed to the wheel callback
+     */
+    #handle_wheel(event)
+    {
+        if (event.deltaY == 0) return
+        var input = (event.deltaY < 0) ? "mouse-wheel-up" : "mouse-wheel-down"
+
+        this.#handle_keydown(event, "pressed", input, "mouse_wheel")
+        this.#handle_keydown(event, "released", input, "mouse_wheel")
+    }
+
+    /**
+     * @summary an internal function used to process mouse movement
+     * 
+     * "change" callbacks for "mouse-move" are called for each mousemove event, with the event's movement as
+     * the axes values.  The movement is also added up, for the "continuous" callbacks called by update().
+     * 
+     * @param {MouseEvent} event the event passed to the mousemove callback
+     */
+    #handle_mousemove(event)
+    {
+        var dx = event.movementX || 0
+        var dy = event.movementY || 0
+
+        this.mouse_state.dx += dx
+        this.mouse_state.dy += dy
+        this.mouse_state.event = event
+        if (dx != 0 || dy != 0) this.#set_active_device("keyboard")
+
+        this.#process_actions("mouse-move", "pressed", event, "change", [dx, dy])
+    }
+
+    /**
+     * @summary Handler for when gamepads are connected or disconnected
+     * https://developer.mozilla.org/en-US/docs/Web/API/Gamepad_API/Using_the_Gamepad_API
+     * @param {*} event 
+     * @param {*} connecting 
+     */
+    #gamepadHandler(event, connecting) {
+        var gamepad = this.#remap_gamepad(event.gamepad);
+        // Note:
+        // gamepad === navigator.getGamepads()[gamepad.index]
+      
+        if (connecting) {
+
+            // a gamepad that connects again keeps the identity it had (see #reconnect_gamepad())
+            var previous = this.#reconnect_gamepad(event.gamepad)
+
+            // save the gamepad
+            this.connected_gamepads[gamepad.index] = gamepad;
+            if (!(gamepad.index in this.gamepad_button_states)) this.gamepad_button_states[gamepad.index] = {}
+            if (!(gamepad.index in this.last_gamepad_button_states)) this.last_gamepad_button_states[gamepad.index] = {}
+            if (!(gamepad.index in this.gamepad_button_values)) this.gamepad_button_values[gamepad.index] = {}
+            if (!(gamepad.index in this.last_gamepad_axes)) this.last_gamepad_axes[gamepad.index] = Array.from(gamepad.axes)
+
+            // iterate over each gamepad button
+            for (var i = 0; i < gamepad.buttons.length; i++)
+            {
+                // determine the input name based on the button id
+                var btn = gamepad.buttons[i];
+                var input = "gp-b" + i.toString();
+
+                // save gamepad button state
+                this.gamepad_button_states[gamepad.index][i] = btn.pressed
+                this.gamepad_button_values[gamepad.index][i] = btn.value
+
+                // save gamepad button state
+                this.last_gamepad_button_states[gamepad.index][i] = btn.pressed? "none" : false
+
+            }
+
+            // give the gamepad to a player
+            this.#assign_gamepad(gamepad)
+
+            var detail = this.#gamepad_detail(event.gamepad)
+            this.dispatchEvent(new CustomEvent("gamepadconnected", { detail: detail }))
+            if (previous) this.dispatchEvent(new CustomEvent("gamepadreconnected", { detail: Object.assign({ previous_index: previous.index }, detail) }))
+
+        } else {
+            var detail = this.#gamepad_detail(event.gamepad)
+
+            // release anything that was held, so that actions don't stay down
+            this.#release_gamepad(gamepad.index, this.connected_gamepads[gamepad.index] || gamepad)
+            delete this.connected_gamepads[gamepad.index];
+            this.disconnected_gamepads.push({ index: gamepad.index, id: gamepad.id })
+
+            // free the player slot, but remember the gamepad so it can go back to the same slot if it reconnects
+            var number = this.playerForGamepad(gamepad.index)
+            if (number !== null) this.players[number].gamepad = null
+
+            this.dispatchEvent(new CustomEvent("gamepaddisconnected", { detail: detail }))
+        }
+      }
+
+    /**
+     * @summary Work out if a connecting gamepad was connected before, and give it back its identity if it was
+     * 
+     * A gamepad is the same as one that disconnected if it has the same id (and the same index, if more than one gamepad
+     * with that id disconnected).  If it connects with a different index, actions that were caused by the old index
+     * (for rumble()) and the active device are moved to the new index.  Player slots are handled by #assign_gamepad().
+     * 
+     * @param {Gamepad} gamepad the gamepad that is connecting
+     * @returns {Object|null} the `index` and `id` the gamepad had before, or null if it's a new gamepad
+     */
+    #reconnect_gamepad(gamepad)
+    {
+        var matches = this.disconnected_gamepads.filter(e => e.id === gamepad.id)
+        var previous = matches.find(e => e.index === gamepad.index) || matches[0]
+        if (!previous) return null
+
+        this.disconnected_gamepads = this.disconnected_gamepads.filter(e => e !== previous)
+        if (previous.index !== gamepad.index)
+        {
+            for (const [action, index] of Object.entries(this.action_gamepads))
+            {
+                if (index === previous.index) this.action_gamepads[action] = gamepad.index
+            }
+            if (this.active_device && this.active_device.type == "gamepad" && this.active_device.index === previous.index) this.active_device.index = gamepad.index
+        }
+        return previous
+    }
+
+    /**
+     * @summary Make the detail of a gamepad event
+     * @param {Gamepad} gamepad the gamepad (as the browser gives it, before it's remapped)
+     * @returns {Object} the `index`, `id`, `mapping` and `player` (number, or null) of the gamepad, and the `gamepad` itself
+     */
+    #gamepad_detail(gamepad)
+    {
+        return {
+            index: gamepad.index,
+            id: gamepad.id,
+            mapping: gamepad.mapping,
+            player: this.playerForGamepad(gamepad.index),
+            gamepad: gamepad
+        }
+    }
+}
+
+
+/**
+ * @class
+ * @classdec A player slot, used for local multiplayer.  Get one using rebind.player()
+ */
+class RebindPlayer
+{
+    /**
+     * Constructor for RebindPlayer objects (use rebind.player() instead of calling this)
+     * @param {Rebind} rebind the Rebind object that the player belongs to
+     * @param {number} number the player number
+     */
+    constructor(rebind, number)
+    {
+        // the Rebind object that the player belongs to
+        this.rebind = rebind
+
+        // the player number, starting from 1
+        this.number = number
+
+        // the index of the gamepad assigned to the player, or null if there isn't one
+        this.gamepad = null
+
+        // the index and id of the last gamepad assigned to the player, used to give a reconnected gamepad the same slot
+        this.last_gamepad = null
+        this.gamepad_id = null
+
+        // whether the player uses the keyboard (see rebind.configurePlayers())
+        this.keyboard = false
+    }
+
+    /**
+     * @summary Bind inputs to an action for this player only (see rebind.bind())
+     * @param {string} action 
+     * @param {string[]} inputs 
+     * @param {Object} settings 
+     */
+    bind(action, inputs, settings={})
+    {
+        this.rebind.bind(action, inputs, Object.assign({}, settings, { player: this.number }))
+    }
+
+    /**
+     * @summary Remove this player's bindings for one or more inputs bound to an action (see rebind.remove())
+     * @param {string} action 
+     * @param {string[]} inputs 
+     */
+    remove(action, inputs)
+    {
+        this.rebind.remove(action, inputs, { player: this.number })
+    }
+
+    /**
+     * @summary Remove this player's bindings for every input bound to an action (see rebind.clear())
+     * @param {string} action 
+     */
+    clear(action)
+    {
+        this.rebind.clear(action, { player: this.number })
+    }
+
+    /**
+     * @summary Register a callback that is only called when this player causes an action (see rebind.on())
+     * @param {string} action the action name
+     * @param {action_occurrance} func a callback to call whenever this player causes the action
+     * @param {Object} settings 
+     * @returns {Object} a subscription, with an `unsubscribe()` method that removes the callback
+     */
+    on(action, func, settings={})
+    {
+        return this.rebind.on(action, func, Object.assign({}, settings, { player: this.number }))
+    }
+
+    /**
+     * @summary Rumble this player's gamepad (see rebind.rumble())
+     * @param {Object|Object[]|string} effect the effect
+     * @param {Object} settings 
+     * @returns {Promise<string>} a promise that resolves when the effect finishes
+     */
+    rumble(effect, settings={})
+    {
+        return this.rebind.rumble(this, effect, settings)
+    }
+
+    /**
+     * @summary Stop rumbling this player's gamepad (see rebind.stopRumble())
+     */
+    stopRumble()
+    {
+        if (this.gamepad !== null) this.rebind.stopRumble(this.gamepad)
+    }
+
+    /**
+     * @summary Assign a gamepad to this player, taking it from any other player it was assigned to
+     * @param {number} index the index of the gamepad
+     */
+    assign(index)
+    {
+        var other = this.rebind.playerForGamepad(index)
+        if (other !== null) this.rebind.players[other].gamepad = null
+
+        var gamepad = this.rebind.connected_gamepads[index]
+        this.gamepad = index
+        this.last_gamepad = index
+        this.gamepad_id = gamepad ? gamepad.id : null
+    }
+
+    /**
+     * @summary Remove this player's gamepad, and forget it so it isn't given back to this player if it reconnects
+     */
+    unassign()
+    {
+        this.gamepad = null
+        this.last_gamepad = null
+        this.gamepad_id = null
+    }
+}
+
+
+/**
+ * @class
+ * @classdec An input context, which is a named set of bindings that can be pushed onto and popped off the context stack
+ */
+class RebindContext
+{
+    /**
+     * Constructor for RebindContext objects (use rebind.context() instead of calling this)
+     * @param {Rebind} rebind the Rebind object that the context belongs to
+     * @param {string} name the name of the context
+     */
+    constructor(rebind, name)
+    {
+        // the Rebind object that the context belongs to
+        this.rebind = rebind
+
+        // the name of the context
+        this.name = name
+
+        // whether the context's bindings are active while it's on the context stack
+        this.enabled = true
+
+        // whether inputs handled by this context are stopped from reaching the contexts below it (false, true or "all")
+        this.consume = false
+    }
+
+    /**
+     * @summary Bind inputs to an action in this context (see rebind.bind())
+     * @param {string} action 
+     * @param {string[]} inputs 
+     * @param {Object} settings 
+     */
+    bind(action, inputs, settings={})
+    {
+        this.rebind.bind(action, inputs, Object.assign({}, settings, { context: this.name }))
+    }
+
+    /**
+     * @summary Remove this context's bindings for one or more inputs bound to an action (see rebind.remove())
+     * @param {string} action 
+     * @param {string[]} inputs 
+     * @param {Object} settings 
+     */
+    remove(action, inputs, settings={})
+    {
+        this.rebind.remove(action, inputs, Object.assign({}, settings, { context: this.name }))
+    }
+
+    /**
+     * @summary Remove this context's bindings for every input bound to an action (see rebind.clear())
+     * @param {string} action 
+     * @param {Object} settings 
+     */
+    clear(action, settings={})
+    {
+        this.rebind.clear(action, Object.assign({}, settings, { context: this.name }))
+    }
+
+    /**
+     * @summary Push this context onto the top of the context stack (see rebind.pushContext())
+     */
+    push()
+    {
+        this.rebind.pushContext(this.name)
+    }
+
+    /**
+     * @summary Remove this context from the context stack (see rebind.popContext())
+     */
+    pop()
+    {
+        this.rebind.popContext(this.name)
+    }
+
+    /**
+     * @summary Enable this context, so its bindings are active while it's on the context stack
+     */
+    enable()
+    {
+        this.enabled = true
+    }
+
+    /**
+     * @summary Disable this context, so its bindings aren't active (and it doesn't consume inputs) until it's enabled again
+     */
+    disable()
+    {
+        this.enabled = false
+    }
+
+    /**
+     * @summary Check whether this context is on the context stack and enabled
+     * @returns {boolean} whether the context's bindings are active
+     */
+    isActive()
+    {
+        return this.enabled && this.rebind.context_stack.includes(this.name)
+    }
+}
+
+
+/**
+ * @class
+ * @classdec An input source that gets keyboard and mouse input from DOM events
+ */
+class RebindDOMSource
+{
+    /**
+     * Constructor for RebindDOMSource objects
+     * @param {EventTarget} target the element (or document) to listen for keyboard and mouse events on (document by default)
+     */
+    constructor(target=document)
+    {
+        // the element (or document) that keyboard and mouse events are listened for on
+        this.target = target || document
+
+        // the event listeners added by attach(), so they can be removed by detach().  each item is an array of
+        // the arguments passed to addEventListener(), with the object the listener was added to at the start
+        this.listeners = []
+    }
+
+    /**
+     * @summary Start listening for events, and send them to a Rebind object
+     * @param {Object} sink the object to send input to (rebind.sink)
+     */
+    attach(sink)
+    {
+        this.#listen(this.target, "keydown", (event) => {
+            //event.preventDefault()
+            sink.key(event, true)
+        })
+
+        this.#listen(this.target, "keyup", (event) => {
+            //event.preventDefault()
+            sink.key(event, false)
+        })
+
+        this.#listen(this.target, "mousedown", (event) => sink.mouseButton(event, true))
+        this.#listen(this.target, "mouseup", (event) => sink.mouseButton(event, false))
+        this.#listen(this.target, "wheel", (event) => sink.wheel(event), { passive: true })
+        this.#listen(this.target, "mousemove", (event) => sink.mouseMove(event))
+
+        // focus loss listeners
+        this.#listen(window, "blur", (event) => sink.blur())
+        if (this.target !== document) this.#listen(this.target, "blur", (event) => sink.blur())
+    }
+
+    /**
+     * @summary Stop listening for events
+     */
+    detach()
+    {
+        this.listeners.forEach(([target, ...args]) => target.removeEventListener(...args))
+        this.listeners = []
+    }
+
+    /**
+     * @summary Add an event listener, and remember it so that detach() can remove it
+     * @param {EventTarget} target the object to add the event listener to
+     * @param {string} type the event type
+     * @param {Function} func the event listener
+     * @param {Object|boolean} options options for addEventListener()
+     */
+    #listen(target, type, func, options=false)
+    {
+        target.addEventListener(type, func, options)
+        this.listeners.push([target, type, func, options])
+    }
+}
+
+
+/**
+ * @class
+ * @classdec An input source that gets gamepad input from the Gamepad API
+ */
+class RebindGamepadSource
+{
+    /**
+     * Constructor for RebindGamepadSource objects
+     */
+    constructor()
+    {
+        // the event listeners added by attach(), so they can be removed by detach()
+        this.listeners = []
+    }
+
+    /**
+     * @summary Start listening for gamepads connecting and disconnecting, and send them to a Rebind object
+     * @param {Object} sink the object to send input to (rebind.sink)
+     */
+    attach(sink)
+    {
+        this.listeners = [
+            ["gamepadconnected", (event) => sink.gamepadConnected(event.gamepad)],
+            ["gamepaddisconnected", (event) => sink.gamepadDisconnected(event.gamepad)]
+        ]
+        this.listeners.forEach(([type, func]) => window.addEventListener(type, func, false))
+    }
+
+    /**
+     * @summary Stop listening for gamepads connecting and disconnecting
+     */
+    detach()
+    {
+        this.listeners.forEach(([type, func]) => window.removeEventListener(type, func, false))
+        this.listeners = []
+    }
+
+    /**
+     * @summary Get the connected gamepads
+     * @returns {Gamepad[]} the gamepads returned by navigator.getGamepads()
+     */
+    getGamepads()
+    {
+        return navigator.getGamepads()
+    }
+}
+
+
+/**
+ * @class
+ * @classdec A scriptable input source, for running rebind.js without a browser (like in tests)
+ * 
+ * Use it instead of the default input sources: `new Rebind({ sources: [fake] })`.
+ */
+class RebindFakeSource
+{
+    /**
+     * Constructor for RebindFakeSource objects
+     */
+    constructor()
+    {
+        // the object that input is sent to, or null if the source isn't attached to a Rebind object
+        this.sink = null
+
+        // the fake gamepads, where each gamepad is at its index (like navigator.getGamepads())
+        this.gamepads = []
+
+        // the rumble effects that have been played on the fake gamepads.  each item is an object with the `index` of
+        // the gamepad, the `type` of effect ("dual-rumble", or "reset" for stopping the effect) and the effect `params`
+        this.effects = []
+    }
+
+    /**
+     * @summary Start sending input to a Rebind object
+     * @param {Object} sink the object to send input to (rebind.sink)
+     */
+    attach(sink)
+    {
+        this.sink = sink
+    }
+
+    /**
+     * @summary Stop sending input
+     */
+    detach()
+    {
+        this.sink = null
+    }
+
+    /**
+     * @summary Get the fake gamepads
+     * @returns {Object[]} the gamepads
+     */
+    getGamepads()
+    {
+        return this.gamepads
+    }
+
+    /**
+     * @summary Press a key or mouse button
+     * 
+     * The input is a key name (like "a"), a key code (like "code:KeyA"), or a mouse button (like "mouse-b0").
+     * The settings object can have `ctrl`, `shift`, `alt` and `meta` to hold modifiers, and `key` or `code`
+     * to set the other name of a key.  Keys get the code they'd have on a US keyboard by default (like "KeyA"
+     * for "a"), like real key events do.
+     * 
+     * @param {string} input the key or mouse button to press
+     * @param {Object} settings modifiers, and the other name of the key
+     */
+    press(input, settings={})
+    {
+        this.#send(input, true, settings)
+    }
+
+    /**
+     * @summary Release a key or mouse button (see press())
+     * @param {string} input the key or mouse button to release
+     * @param {Object} settings modifiers, and the other name of the key
+     */
+    release(input, settings={})
+    {
+        this.#send(input, false, settings)
+    }
+
+    /**
+     * @summary Press and release a key or mouse button (see press())
+     * @param {string} input the key or mouse button to tap
+     * @param {Object} settings modifiers, and the other name of the key
+     */
+    tap(input, settings={})
+    {
+        this.press(input, settings)
+        this.release(input, settings)
+    }
+
+    /**
+     * @summary Move the mouse
+     * @param {number} dx how far to move the mouse horizontally, in pixels
+     * @param {number} dy how far to move the mouse vertically, in pixels
+     */
+    moveMouse(dx, dy)
+    {
+        if (this.sink) this.sink.mouseMove({ type: "mousemove", movementX: dx, movementY: dy, clientX: 0, clientY: 0, fake: true })
+    }
+
+    /**
+     * @summary Scroll the mouse wheel
+     * @param {number} delta how far to scroll (negative is up, positive is down)
+     */
+    wheel(delta)
+    {
+        if (this.sink) this.sink.wheel(Object.assign(this.#modifiers({}), { type: "wheel", deltaY: delta, clientX: 0, clientY: 0 }))
+    }
+
+    /**
+     * @summary Make the page lose focus
+     */
+    blur()
+    {
+        if (this.sink) this.sink.blur()
+    }
+
+    /**
+     * @summary Connect a fake gamepad
+     * 
+     * The settings object can have these attributes:
+     *  - `index`: the index of the gamepad (the lowest free index by default)
+     *  - `id`: the id of the gamepad ("Fake Gamepad (STANDARD GAMEPAD)" by default)
+     *  - `mapping`: the mapping of the gamepad ("standard" by default)
+     *  - `buttons`: the number of buttons (17 by default)
+     *  - `axes`: the number of axes (4 by default)
+     *  - `rumble`: whether the gamepad has a vibrationActuator (true by default).  effects played on it are added to `effects`
+     * 
+     * @param {Object} settings the gamepad's settings
+     * @returns {number} the index of the gamepad
+     */
+    connect(settings={})
+    {
+        var index = ("index" in settings) ? settings.index : 0
+        if (!("index" in settings)) while (this.gamepads[index]) index++
+
+        var gamepad = this.gamepads[index] = {
+            id: settings.id || "Fake Gamepad (STANDARD GAMEPAD)",
+            index: index,
+            mapping: ("mapping" in settings) ? settings.mapping : "standard",
+            connected: true,
+            timestamp: 0,
+            buttons: Array.from({ length: settings.buttons || 17 }, () => ({ pressed: false, touched: false, value: 0 })),
+            axes: new Array(settings.axes || 4).fill(0)
+        }
+        if (settings.rumble !== false) gamepad.vibrationActuator = this.#make_actuator(index)
+
+        if (this.sink) this.sink.gamepadConnected(gamepad)
+        return index
+    }
+
+    /**
+     * @summary Disconnect a fake gamepad
+     * @param {number} index the index of the gamepad
+     */
+    disconnect(index)
+    {
+        var gamepad = this.gamepads[index]
+        if (!gamepad) return
+
+        delete this.gamepads[index]
+        gamepad.connected = false
+        if (this.sink) this.sink.gamepadDisconnected(gamepad)
+    }
+
+    /**
+     * @summary Set the value of a button on a fake gamepad
+     * 
+     * The button counts as pressed if its value is 0.5 or more.  Like real gamepads, the change is seen the next time update() is called.
+     * 
+     * @param {number} index the index of the gamepad
+     * @param {number} button the number of the button
+     * @param {number} value how far the button is pressed, from 0 to 1
+     */
+    setButton(index, button, value=1)
+    {
+        var gamepad = this.#gamepad(index)
+        gamepad.buttons[button] = { pressed: value >= 0.5, touched: value > 0, value: value }
+        gamepad.timestamp++
+    }
+
+    /**
+     * @summary Press a button on a fake gamepad (see setButton())
+     * @param {number} index the index of the gamepad
+     * @param {number} button the number of the button
+     */
+    pressButton(index, button)
+    {
+        this.setButton(index, button, 1)
+    }
+
+    /**
+     * @summary Release a button on a fake gamepad (see setButton())
+     * @param {number} index the index of the gamepad
+     * @param {number} button the number of the button
+     */
+    releaseButton(index, button)
+    {
+        this.setButton(index, button, 0)
+    }
+
+    /**
+     * @summary Set the values of axes on a fake gamepad
+     * 
+     * For example, `setAxes(0, [0.5, 0])` moves the left stick of gamepad 0 halfway to the right, and
+     * `setAxes(0, [0, -1], 2)` moves the right stick all the way up.
+     * 
+     * @param {number} index the index of the gamepad
+     * @param {number[]} axes the values of the axes, from -1 to 1
+     * @param {number} first the index of the first axis to set (0 by default)
+     */
+    setAxes(index, axes, first=0)
+    {
+        var gamepad = this.#gamepad(index)
+        axes.forEach((value, i) => gamepad.axes[first + i] = value)
+        gamepad.timestamp++
+    }
+
+    /**
+     * @summary Make a fake vibrationActuator, which adds the effects played on it to `effects`
+     * 
+     * Like a real actuator, an effect finishes after its delay and duration, and is preempted by the next
+     * effect or by reset().
+     * 
+     * @param {number} index the index of the gamepad
+     * @returns {Object} the actuator
+     */
+    #make_actuator(index)
+    {
+        var playing = null
+        const stop = (result) => {
+            if (!playing) return
+            clearTimeout(playing.timeout)
+            playing.resolve(result)
+            playing = null
+        }
+
+        return {
+            type: "dual-rumble",
+            effects: ["dual-rumble"],
+            playEffect: ((type, params={}) => {
+                stop("preempted")
+                this.effects.push({ index: index, type: type, params: params })
+                return new Promise(resolve => {
+                    var item = { resolve: resolve }
+                    item.timeout = setTimeout(() => { if (playing === item) stop("complete") }, (params.startDelay || 0) + (params.duration || 0))
+                    playing = item
+                })
+            }).bind(this),
+            reset: (() => {
+                stop("preempted")
+                this.effects.push({ index: index, type: "reset", params: {} })
+                return Promise.resolve("complete")
+            }).bind(this)
+        }
+    }
+
+    /**
+     * @summary Get a connected fake gamepad, or throw an error if it isn't connected
+     * @param {number} index the index of the gamepad
+     * @returns {Object} the gamepad
+     */
+    #gamepad(index)
+    {
+        if (!this.gamepads[index]) throw new Error(`rebind.js: fake gamepad ${index} isn't connected`)
+        return this.gamepads[index]
+    }
+
+    /**
+     * @summary Make the modifier attributes of a fake event
+     * @param {Object} settings the settings passed to press() or release()
+     * @returns {Object} ctrlKey, shiftKey, altKey and metaKey
+     */
+    #modifiers(settings)
+    {
+        return {
+            ctrlKey: !!settings.ctrl,
+            shiftKey: !!settings.shift,
+            altKey: !!settings.alt,
+            metaKey: !!settings.meta,
+            fake: true
+        }
+    }
+
+    /**
+     * @summary Send a fake key or mouse button event
+     * @param {string} input the key or mouse button
+     * @param {boolean} pressed whether it was pressed or released
+     * @param {Object} settings modifiers, and the other name of the key
+     */
+    #send(input, pressed, settings)
+    {
+        if (!this.sink) return
+        var event = this.#modifiers(settings)
+
+        if (input.startsWith("mouse-b"))
+        {
+            this.sink.mouseButton(Object.assign(event, { type: pressed ? "mousedown" : "mouseup", button: Number(input.substring(7)), clientX: 0, clientY: 0 }), pressed)
+        }
+        else if (input.startsWith("code:"))
+        {
+            this.sink.key(Object.assign(event, { type: pressed ? "keydown" : "keyup", key: settings.key || "Unidentified", code: input.substring(5), repeat: false }), pressed)
+        }
+        else
+        {
+            // like real keyboard events, keys have a code unless it's set to "" (see #key_code())
+            var code = ("code" in settings) ? settings.code : RebindFakeSource.#key_code(input)
+            this.sink.key(Object.assign(event, { type: pressed ? "keydown" : "keyup", key: input, code: code, repeat: false }), pressed)
+        }
+    }
+
+    /**
+     * @summary Guess the key code of a key name, as it would be on a US keyboard
+     * @param {string} key the key name (like "a", "A", " " or "ArrowUp")
+     * @returns {string} the key code (like "KeyA", "Space" or "ArrowUp"), or "" if there isn't an obvious one
+     */
+    static #key_code(key)
+    {
+        if (/^[a-z]$/i.test(key)) return "Key" + key.toUpperCase()
+        if (/^[0-9]$/.test(key)) return "Digit" + key
+        if (key == " ") return "Space"
+        if (["Shift", "Control", "Alt", "Meta"].includes(key)) return key + "Left"
+        if (/^(Arrow(Up|Down|Left|Right)|Enter|Tab|Escape|Backspace|Delete|Insert|Home|End|PageUp|PageDown|CapsLock|F[0-9]{1,2})$/.test(key)) return key
+        return ""
+    }
+}
+
+
+// export the classes when rebind.js is loaded as a CommonJS module (like in Node)
+if (typeof module !== "undefined" && module.exports) module.exports = { Rebind, RebindPlayer, RebindContext, RebindDOMSource, RebindGamepadSource, RebindFakeSource }
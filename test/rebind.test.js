@@ -0,0 +1,130 @@
+// tests for rebind.js, run with `node --test test/` (no packages needed)
+// they use RebindFakeSource, so that rebind.js runs without a browser
+
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { Rebind, RebindFakeSource } = require("../rebind.js")
+
+// make a Rebind object with a fake source, and a list of the calls to an action's callback
+function setup(action, inputs, bind_settings={}, on_settings={})
+{
+    var fake = new RebindFakeSource()
+    var rebind = new Rebind({ sources: [fake] })
+    var calls = []
+
+    rebind.bind(action, inputs, bind_settings)
+    rebind.on(action, (params) => calls.push(params.key_action), on_settings)
+
+    return { fake: fake, rebind: rebind, calls: calls }
+}
+
+test("change callbacks are called on press and release only", () => {
+    var { fake, rebind, calls } = setup("jump", ["a"], {}, { frequency: "change" })
+
+    fake.press("a")
+    fake.press("a")     // a key repeat
+    rebind.update()
+    fake.release("a")
+
+    assert.deepEqual(calls, ["pressed", "released"])
+})
+
+test("repeat callbacks are called for key repeats", () => {
+    var { fake, rebind, calls } = setup("jump", ["a"], {}, { frequency: "repeat" })
+
+    fake.press("a")
+    fake.press("a")
+    rebind.update()
+    fake.release("a")
+
+    assert.deepEqual(calls, ["pressed", "pressed", "released"])
+})
+
+test("continuous callbacks are called every update() while held, and on release", () => {
+    var { fake, rebind, calls } = setup("jump", ["a"], {}, { frequency: "continuous" })
+
+    fake.press("a")
+    rebind.update()
+    rebind.update()
+    fake.release("a")
+    rebind.update()
+
+    assert.deepEqual(calls, ["pressed", "pressed", "released"])
+})
+
+test("gamepad buttons call change callbacks when pressed and released", () => {
+    var { fake, rebind, calls } = setup("jump", ["gp-b0"], {}, { frequency: "change" })
+    var index = fake.connect()
+    rebind.update()
+
+    fake.pressButton(index, 0)
+    rebind.update()
+    rebind.update()
+    fake.releaseButton(index, 0)
+    rebind.update()
+
+    assert.deepEqual(calls, ["pressed", "released"])
+})
+
+test("callbacks with an expiry are removed after that many calls", () => {
+    var { fake, calls } = setup("jump", ["a"], {}, { frequency: "change", expiry: 3 })
+
+    fake.tap("a")
+    fake.tap("a")
+    fake.tap("a")
+
+    assert.deepEqual(calls, ["pressed", "released", "pressed"])
+})
+
+test("callbacks are passed how many calls they have left, including the current one", () => {
+    var fake = new RebindFakeSource()
+    var rebind = new Rebind({ sources: [fake] })
+    var counts = []
+
+    rebind.bind("jump", ["a"])
+    rebind.on("jump", (params) => counts.push(params.expiry), { frequency: "change", expiry: 2 })
+    fake.tap("a")
+
+    assert.deepEqual(counts, [2, 1])
+})
+
+test("sticks inside the deadzone don't cause actions", () => {
+    var { fake, rebind, calls } = setup("right", ["gp-a-left"], { condition_x: "pos", condition_y: "none", deadzone: 0.2 }, { frequency: "change" })
+    var index = fake.connect()
+    rebind.update()
+
+    fake.setAxes(index, [0.15, 0])
+    rebind.update()
+    assert.deepEqual(calls, [])
+    assert.equal(rebind.isDown("right"), false)
+
+    fake.setAxes(index, [0.5, 0])
+    rebind.update()
+    assert.deepEqual(calls, ["pressed"])
+    assert.equal(rebind.isDown("right"), true)
+
+    // back inside the deadzone, the action stops, but it's only released once the stick is nearly at rest
+    // (inside rebind.release_deadzone)
+    fake.setAxes(index, [0.15, 0])
+    rebind.update()
+    assert.deepEqual(calls, ["pressed"])
+    assert.equal(rebind.isDown("right"), false)
+
+    fake.setAxes(index, [0.05, 0])
+    rebind.update()
+    assert.deepEqual(calls, ["pressed", "released"])
+})
+
+test("stick conditions check the direction outside the deadzone", () => {
+    var { fake, rebind, calls } = setup("left", ["gp-a-left"], { condition_x: "neg", condition_y: "none" }, { frequency: "change" })
+    var index = fake.connect()
+    rebind.update()
+
+    fake.setAxes(index, [0.8, 0])
+    rebind.update()
+    assert.deepEqual(calls, [])
+
+    fake.setAxes(index, [-0.8, 0])
+    rebind.update()
+    assert.deepEqual(calls, ["pressed"])
+})